@@ -8,597 +8,6372 @@
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
-const { exec, spawn } = require('child_process');
+const { exec, execFile, spawn, spawnSync } = require('child_process');
 const readline = require('readline');
 const os = require('os');
 const crypto = require('crypto');
+const http = require('http');
 
-class DeltaCLI {
-    constructor() {
-        this.apiKey = process.env.GEMINI_API_KEY;
-        this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
-        this.model = 'gemini-2.0-flash'; // Default model
-        this.conversationHistory = [];
-        this.currentDirectory = process.cwd();
-        this.autoExecute = true;
-        this.maxTokens = 4000;
-        this.temperature = 0.7;
-        this.configDir = path.join(os.homedir(), '.delta-cli');
-        this.configFile = path.join(this.configDir, 'config.json');
-        this.sessionFile = path.join(this.configDir, 'session.json');
-        this.gitIgnorePatterns = ['.git', 'node_modules', '.env', '*.log', 'dist', 'build'];
-        this.fileExtensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.c', '.html', '.css', '.json', '.md', '.yml', '.yaml', '.xml', '.sh'];
-        
-        this.initializeConfig();
+// Send a JSON request over http or https (local model servers usually speak plain http)
+function requestJson(url, options = {}) {
+    const { method = 'POST', headers = {}, body = null, onRequest = null } = options;
+
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(url);
+        const transport = urlObj.protocol === 'http:' ? http : https;
+        const data = body ? JSON.stringify(body) : null;
+
+        const req = transport.request({
+            hostname: urlObj.hostname,
+            port: urlObj.port || undefined,
+            path: urlObj.pathname + urlObj.search,
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(data ? { 'Content-Length': Buffer.byteLength(data) } : {}),
+                ...headers
+            }
+        }, (res) => {
+            let responseData = '';
+
+            res.on('data', (chunk) => {
+                responseData += chunk;
+            });
+
+            res.on('end', () => {
+                try {
+                    resolve({ statusCode: res.statusCode, body: JSON.parse(responseData) });
+                } catch (error) {
+                    reject(new Error(`Error parsing response: ${error.message}`));
+                }
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(requestError(error));
+        });
+
+        if (onRequest) onRequest(req);
+        if (data) req.write(data);
+        req.end();
+    });
+}
+
+function requestError(error) {
+    if (error.cancelled) return error;
+    return new Error(`Request failed: ${error.message}`);
+}
+
+function cancelledError() {
+    const error = new Error('Request cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+// POST a JSON body and feed each server-sent event to onEvent as it arrives.
+// Servers that reject the request answer with plain JSON, which is resolved as `body`.
+function streamJson(url, options = {}) {
+    const { headers = {}, body = null, onEvent, onRequest = null } = options;
+
+    return new Promise((resolve, reject) => {
+        const urlObj = new URL(url);
+        const transport = urlObj.protocol === 'http:' ? http : https;
+        const data = JSON.stringify(body);
+
+        const req = transport.request({
+            hostname: urlObj.hostname,
+            port: urlObj.port || undefined,
+            path: urlObj.pathname + urlObj.search,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream',
+                'Content-Length': Buffer.byteLength(data),
+                ...headers
+            }
+        }, (res) => {
+            const isEventStream = (res.headers['content-type'] || '').includes('text/event-stream');
+            let buffer = '';
+            let eventName = null;
+            let eventData = [];
+            let failed = false;
+
+            const dispatch = () => {
+                if (eventData.length > 0) {
+                    onEvent({ event: eventName, data: eventData.join('\n') });
+                }
+                eventName = null;
+                eventData = [];
+            };
+
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                if (!isEventStream || failed) return;
+
+                let newline;
+                while ((newline = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newline).replace(/\r$/, '');
+                    buffer = buffer.slice(newline + 1);
+
+                    try {
+                        if (line === '') {
+                            dispatch();
+                        } else if (line.startsWith('event:')) {
+                            eventName = line.slice(6).trim();
+                        } else if (line.startsWith('data:')) {
+                            eventData.push(line.slice(5).replace(/^ /, ''));
+                        }
+                    } catch (error) {
+                        failed = true;
+                        req.destroy();
+                        reject(error);
+                        return;
+                    }
+                }
+            });
+
+            res.on('end', () => {
+                if (failed) return;
+                if (isEventStream) {
+                    try {
+                        if (buffer.trim().startsWith('data:')) {
+                            eventData.push(buffer.trim().slice(5).trim());
+                        }
+                        dispatch();
+                        resolve({ statusCode: res.statusCode, headers: res.headers, body: null });
+                    } catch (error) {
+                        reject(error);
+                    }
+                    return;
+                }
+
+                try {
+                    const body = buffer.trim() ? JSON.parse(buffer) : null;
+                    resolve({ statusCode: res.statusCode, headers: res.headers, body });
+                } catch (error) {
+                    reject(new Error(`Error parsing response: ${error.message}`));
+                }
+            });
+
+            res.on('error', (error) => {
+                if (!failed) reject(requestError(error));
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(requestError(error));
+        });
+
+        if (onRequest) onRequest(req);
+        req.write(data);
+        req.end();
+    });
+}
+
+// Base class for model providers. Each adapter turns the conversation (including tool
+// calls and their results) into its own wire format and pulls the reply back out.
+//
+// Messages use one internal shape regardless of provider:
+//   { role: 'user' | 'assistant', content, toolCalls?: [{ id, name, args }] }
+//   { role: 'tool', toolCallId, name, content }
+// User messages may carry attachments: [{ name, mimeType, data }] with base64 data. Without
+// data the attachment isn't sent: it belongs to an earlier turn, or has { missing: true } when
+// the file is gone; see attachmentNote for the text used instead.
+class ModelProvider {
+    constructor(settings = {}) {
+        this.baseUrl = (settings.baseUrl || this.constructor.defaultBaseUrl).replace(/\/+$/, '');
+        this.apiKey = settings.apiKey || process.env[settings.apiKeyEnv || this.constructor.apiKeyEnv] || null;
+        this.headers = settings.headers || {};
     }
 
-    initializeConfig() {
-        // Create config directory if it doesn't exist
-        if (!fs.existsSync(this.configDir)) {
-            fs.mkdirSync(this.configDir, { recursive: true });
-        }
+    get name() {
+        return this.constructor.providerName;
+    }
 
-        // Load existing config
-        this.loadConfig();
-        
-        // Load session if exists
-        this.loadSession();
+    get requiresApiKey() {
+        return true;
     }
 
-    loadConfig() {
-        try {
-            if (fs.existsSync(this.configFile)) {
-                const config = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
-                this.model = config.model || this.model;
-                this.maxTokens = config.maxTokens || this.maxTokens;
-                this.temperature = config.temperature || this.temperature;
-                this.autoExecute = config.autoExecute !== undefined ? config.autoExecute : this.autoExecute;
-                this.gitIgnorePatterns = [...this.gitIgnorePatterns, ...(config.ignorePatterns || [])];
-            }
-        } catch (error) {
-            console.warn('Warning: Could not load config file');
-        }
+    buildRequest() {
+        throw new Error(`${this.name} provider does not implement buildRequest`);
     }
 
-    saveConfig() {
-        const config = {
-            model: this.model,
-            maxTokens: this.maxTokens,
-            temperature: this.temperature,
-            autoExecute: this.autoExecute,
-            ignorePatterns: this.gitIgnorePatterns.slice(6) // Save only custom patterns
-        };
-        
-        try {
-            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
-        } catch (error) {
-            console.warn('Warning: Could not save config file');
-        }
+    attachmentNote(attachment) {
+        return attachment.missing
+            ? `[Attachment ${attachment.name} is no longer available]`
+            : `[attached ${attachment.name} in an earlier message]`;
     }
 
-    loadSession() {
-        try {
-            if (fs.existsSync(this.sessionFile)) {
-                const session = JSON.parse(fs.readFileSync(this.sessionFile, 'utf8'));
-                this.conversationHistory = session.history || [];
-            }
-        } catch (error) {
-            console.warn('Warning: Could not load session file');
-        }
+    // Returns { text, toolCalls } or null when the response carries no reply
+    parseResponse() {
+        throw new Error(`${this.name} provider does not implement parseResponse`);
+    }
+
+    // Token counts the API reported: { inputTokens, outputTokens, cachedTokens } or null.
+    // inputTokens includes the cached ones.
+    parseUsage() {
+        return null;
+    }
+
+    // Returns the text carried by one server-sent event (or null) and collects
+    // tool-call fragments into `state` for finishStream
+    parseStreamEvent() {
+        throw new Error(`${this.name} provider does not implement streaming`);
+    }
+
+    createStreamState() {
+        return { text: '', toolCalls: [], partialToolCalls: [], usage: null };
     }
 
-    saveSession() {
-        const session = {
-            history: this.conversationHistory.slice(-20), // Keep last 20 messages
-            timestamp: Date.now()
+    finishStream(state) {
+        const partial = state.partialToolCalls.filter(Boolean).map(call => ({
+            id: call.id,
+            name: call.name,
+            args: parseToolArguments(call.arguments)
+        }));
+        return {
+            text: state.text,
+            toolCalls: assignToolCallIds([...state.toolCalls, ...partial]),
+            usage: state.usage
         };
-        
-        try {
-            fs.writeFileSync(this.sessionFile, JSON.stringify(session, null, 2));
-        } catch (error) {
-            console.warn('Warning: Could not save session file');
+    }
+
+    getErrorMessage(result) {
+        if (!result || !result.error) return null;
+        if (typeof result.error === 'string') return result.error;
+        return result.error.message || 'Unknown error';
+    }
+}
+
+function parseToolArguments(value) {
+    if (value && typeof value === 'object') return value;
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return { _invalidArguments: value };
+    }
+}
+
+// Some providers (Gemini) don't give tool calls ids; the other adapters need them
+function assignToolCallIds(toolCalls) {
+    return toolCalls.map(call => ({
+        ...call,
+        id: call.id || `call_${crypto.randomBytes(6).toString('hex')}`
+    }));
+}
+
+// Gemini's function declarations take an OpenAPI subset of JSON Schema and reject the rest,
+// so tool schemas from MCP servers are rewritten into it: $refs inlined, type lists turned into
+// nullable, const into enum and unsupported keywords dropped
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems', 'minimum', 'maximum', 'anyOf'];
+
+function toGeminiSchema(schema, definitions = null, depth = 0) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema) || depth > 10) return {};
+    definitions = definitions || { ...(schema.definitions || {}), ...(schema.$defs || {}) };
+
+    if (typeof schema.$ref === 'string') {
+        const target = definitions[schema.$ref.replace(/^#\/(definitions|\$defs)\//, '')];
+        const { $ref, ...rest } = schema;
+        return toGeminiSchema({ ...(target || {}), ...rest }, definitions, depth + 1);
+    }
+    if (Array.isArray(schema.allOf) && schema.allOf.length === 1) {
+        const { allOf, ...rest } = schema;
+        return toGeminiSchema({ ...allOf[0], ...rest }, definitions, depth + 1);
+    }
+
+    const result = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (schema[key] !== undefined) result[key] = schema[key];
+    }
+    if (Array.isArray(schema.type)) {
+        const types = schema.type.filter(type => type !== 'null');
+        result.type = types[0] || 'string';
+        if (types.length < schema.type.length) result.nullable = true;
+    }
+    if (schema.const !== undefined) result.enum = [schema.const];
+    if (!result.anyOf && Array.isArray(schema.oneOf)) result.anyOf = schema.oneOf;
+    if (result.anyOf) result.anyOf = result.anyOf.map(option => toGeminiSchema(option, definitions, depth + 1));
+    // Enums are only accepted on strings; other values are listed in the description instead
+    if (result.enum && result.enum.every(value => typeof value === 'string')) {
+        result.type = 'string';
+    } else if (result.enum) {
+        const values = result.enum.map(value => JSON.stringify(value)).join(', ');
+        result.description = `${result.description ? `${result.description} ` : ''}(one of ${values})`;
+        if (!result.type && result.enum.length > 0 && result.enum[0] !== null) {
+            result.type = typeof result.enum[0] === 'number' ? 'number' : typeof result.enum[0];
         }
+        delete result.enum;
+    }
+    if (result.properties && typeof result.properties === 'object') {
+        result.properties = Object.fromEntries(Object.entries(result.properties)
+            .map(([name, property]) => [name, toGeminiSchema(property, definitions, depth + 1)]));
     }
+    if (Array.isArray(result.required)) {
+        result.required = result.required.filter(name => result.properties && result.properties[name]);
+    }
+    if (result.items) result.items = toGeminiSchema(result.items, definitions, depth + 1);
+    return result;
+}
 
-    async makeApiRequest(messages, systemPrompt = null) {
-        const url = `${this.baseUrl}?key=${this.apiKey}`;
-        
-        // Convert messages to Gemini format
+class GeminiProvider extends ModelProvider {
+    buildRequest({ model, messages, systemPrompt, temperature, maxTokens, tools = [], stream = false }) {
         const contents = [];
-        
-        if (systemPrompt) {
-            contents.push({
-                role: 'user',
-                parts: [{ text: systemPrompt }]
-            });
-        }
-        
+
         for (const msg of messages) {
-            contents.push({
-                role: msg.role === 'assistant' ? 'model' : 'user',
-                parts: [{ text: msg.content }]
-            });
+            let role = msg.role === 'assistant' ? 'model' : 'user';
+            let parts;
+
+            if (msg.role === 'tool') {
+                parts = [{ functionResponse: { name: msg.name, response: { content: msg.content } } }];
+            } else {
+                parts = msg.content ? [{ text: msg.content }] : [];
+                for (const attachment of msg.attachments || []) {
+                    parts.push(attachment.data === undefined
+                        ? { text: this.attachmentNote(attachment) }
+                        : { inlineData: { mimeType: attachment.mimeType, data: attachment.data } });
+                }
+                for (const call of msg.toolCalls || []) {
+                    parts.push({ functionCall: { name: call.name, args: call.args } });
+                }
+            }
+
+            // Gemini wants all results for one turn's function calls in a single content
+            const previous = contents[contents.length - 1];
+            if (previous && previous.role === role && msg.role === 'tool' && previous.parts.every(part => part.functionResponse)) {
+                previous.parts.push(...parts);
+            } else {
+                contents.push({ role, parts });
+            }
         }
 
-        const payload = {
+        const body = {
             contents: contents,
             generationConfig: {
-                temperature: this.temperature,
-                maxOutputTokens: this.maxTokens,
+                temperature: temperature,
+                maxOutputTokens: maxTokens
             }
         };
 
-        return new Promise((resolve, reject) => {
-            const data = JSON.stringify(payload);
-            const urlObj = new URL(url);
-
-            const options = {
-                hostname: urlObj.hostname,
-                path: urlObj.pathname + urlObj.search,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(data)
-                }
-            };
+        if (systemPrompt) {
+            body.systemInstruction = { parts: [{ text: systemPrompt }] };
+        }
 
-            const req = https.request(options, (res) => {
-                let responseData = '';
+        if (tools.length > 0) {
+            body.tools = [{
+                functionDeclarations: tools.map(tool => {
+                    const parameters = toGeminiSchema(tool.parameters);
+                    // Functions without arguments leave parameters out rather than send an empty object
+                    const hasArguments = parameters.properties && Object.keys(parameters.properties).length > 0;
+                    return { name: tool.name, description: tool.description, ...(hasArguments ? { parameters } : {}) };
+                })
+            }];
+        }
 
-                res.on('data', (chunk) => {
-                    responseData += chunk;
-                });
+        return {
+            url: stream
+                ? `${this.baseUrl}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`
+                : `${this.baseUrl}/models/${encodeURIComponent(model)}:generateContent`,
+            headers: { 'x-goog-api-key': this.apiKey, ...this.headers },
+            body
+        };
+    }
 
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(responseData);
-                        if (result.candidates && result.candidates[0] && result.candidates[0].content) {
-                            resolve(result.candidates[0].content.parts[0].text);
-                        } else if (result.error) {
-                            reject(new Error(`API Error: ${result.error.message || 'Unknown error'}`));
-                        } else {
-                            reject(new Error('No response generated'));
-                        }
-                    } catch (error) {
-                        reject(new Error(`Error parsing response: ${error.message}`));
-                    }
-                });
-            });
+    parseResponse(result) {
+        const candidate = result.candidates && result.candidates[0];
+        if (!candidate || !candidate.content) return null;
 
-            req.on('error', (error) => {
-                reject(new Error(`Request failed: ${error.message}`));
-            });
+        const parts = candidate.content.parts || [];
+        return {
+            text: parts.map(part => part.text || '').join(''),
+            toolCalls: assignToolCallIds(parts.filter(part => part.functionCall).map(part => ({
+                name: part.functionCall.name,
+                args: part.functionCall.args || {}
+            })))
+        };
+    }
 
-            req.write(data);
-            req.end();
-        });
+    parseUsage(result) {
+        const usage = result.usageMetadata;
+        if (!usage) return null;
+        return {
+            inputTokens: usage.promptTokenCount || 0,
+            outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+            cachedTokens: usage.cachedContentTokenCount || 0
+        };
     }
 
-    async executeCommand(command, options = {}) {
-        const { showOutput = true, interactive = false, timeout = 30000 } = options;
-        
-        return new Promise((resolve) => {
-            if (showOutput) {
-                console.log(`🔧 Executing: ${command}`);
-            }
+    parseStreamEvent({ data }, state) {
+        const result = JSON.parse(data);
+        const errorMessage = this.getErrorMessage(result);
+        if (errorMessage) throw new Error(`API Error: ${errorMessage}`);
 
-            if (interactive) {
-                const child = spawn(command, [], { 
-                    shell: true, 
-                    cwd: this.currentDirectory,
-                    stdio: 'inherit'
+        // Every chunk carries the running totals
+        state.usage = this.parseUsage(result) || state.usage;
+        const parsed = this.parseResponse(result);
+        if (!parsed) return null;
+
+        state.text += parsed.text;
+        state.toolCalls.push(...parsed.toolCalls);
+        return parsed.text || null;
+    }
+}
+GeminiProvider.providerName = 'gemini';
+GeminiProvider.defaultBaseUrl = 'https://generativelanguage.googleapis.com/v1beta';
+GeminiProvider.apiKeyEnv = 'GEMINI_API_KEY';
+GeminiProvider.defaultModel = 'gemini-2.0-flash';
+
+// Also covers local servers that expose the same API (llama.cpp, Ollama, vLLM, LM Studio)
+class OpenAIProvider extends ModelProvider {
+    get requiresApiKey() {
+        return this.baseUrl === OpenAIProvider.defaultBaseUrl;
+    }
+
+    buildRequest({ model, messages, systemPrompt, temperature, maxTokens, tools = [], stream = false }) {
+        const chatMessages = [];
+
+        if (systemPrompt) {
+            chatMessages.push({ role: 'system', content: systemPrompt });
+        }
+
+        for (const msg of messages) {
+            if (msg.role === 'tool') {
+                chatMessages.push({ role: 'tool', tool_call_id: msg.toolCallId, content: msg.content });
+            } else if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length > 0) {
+                chatMessages.push({
+                    role: 'assistant',
+                    content: msg.content || null,
+                    tool_calls: msg.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.args) }
+                    }))
                 });
-                
-                child.on('close', (code) => {
-                    if (showOutput) {
-                        console.log(code === 0 ? '✅ Command completed successfully' : `❌ Command failed with exit code: ${code}`);
-                    }
-                    resolve({
-                        success: code === 0,
-                        code: code,
-                        stdout: '',
-                        stderr: ''
-                    });
+            } else if (msg.attachments && msg.attachments.length > 0) {
+                chatMessages.push({
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: msg.content },
+                        ...msg.attachments.map(attachment => {
+                            if (attachment.data === undefined) return { type: 'text', text: this.attachmentNote(attachment) };
+                            const url = `data:${attachment.mimeType};base64,${attachment.data}`;
+                            return attachment.mimeType.startsWith('image/')
+                                ? { type: 'image_url', image_url: { url } }
+                                : { type: 'file', file: { filename: attachment.name, file_data: url } };
+                        })
+                    ]
                 });
             } else {
-                const child = exec(command, { 
-                    cwd: this.currentDirectory, 
-                    timeout: timeout 
-                }, (error, stdout, stderr) => {
-                    if (showOutput) {
-                        if (stdout) console.log(stdout.trim());
-                        if (stderr) console.error(stderr.trim());
-                        if (error) {
-                            if (error.code === 'TIMEOUT') {
-                                console.error(`❌ Command timed out after ${timeout}ms`);
-                            } else {
-                                console.error(`❌ Error: ${error.message}`);
-                            }
-                        } else {
-                            console.log('✅ Command completed successfully');
-                        }
-                    }
-                    
-                    resolve({
-                        success: !error,
-                        stdout: stdout || '',
-                        stderr: stderr || '',
-                        error: error ? error.message : null
-                    });
+                chatMessages.push({
+                    role: msg.role === 'assistant' ? 'assistant' : 'user',
+                    content: msg.content
                 });
             }
-        });
-    }
+        }
 
-    writeToFile(filePath, content, options = {}) {
-        const { showOutput = true, backup = false, append = false } = options;
-        
-        try {
-            const fullPath = path.resolve(this.currentDirectory, filePath);
-            const dir = path.dirname(fullPath);
-            
-            // Create directory if it doesn't exist
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-                if (showOutput) console.log(`📁 Created directory: ${path.dirname(filePath)}`);
-            }
-            
-            // Create backup if requested and file exists
-            if (backup && fs.existsSync(fullPath)) {
-                const backupPath = `${fullPath}.backup.${Date.now()}`;
-                fs.copyFileSync(fullPath, backupPath);
-                if (showOutput) console.log(`🔄 Created backup: ${backupPath}`);
-            }
-            
-            // Write or append content
-            if (append) {
-                fs.appendFileSync(fullPath, content);
-                if (showOutput) console.log(`➕ Appended to file: ${filePath}`);
-            } else {
-                fs.writeFileSync(fullPath, content);
-                if (showOutput) console.log(`📝 ${fs.existsSync(fullPath) ? 'Updated' : 'Created'} file: ${filePath}`);
-            }
-            
-            return true;
-        } catch (error) {
-            if (showOutput) console.error(`❌ Error writing to ${filePath}: ${error.message}`);
-            return false;
+        const body = {
+            model: model,
+            messages: chatMessages,
+            temperature: temperature,
+            max_tokens: maxTokens,
+            ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+        };
+
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            }));
         }
+
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers: {
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+                ...this.headers
+            },
+            body
+        };
     }
 
-    readFile(filePath, options = {}) {
-        const { showOutput = true } = options;
-        
-        try {
-            const fullPath = path.resolve(this.currentDirectory, filePath);
-            if (!fs.existsSync(fullPath)) {
-                if (showOutput) console.error(`❌ File not found: ${filePath}`);
-                return null;
-            }
-            
+    parseResponse(result) {
+        const choice = result.choices && result.choices[0];
+        if (!choice || !choice.message) return null;
+        return {
+            text: choice.message.content || '',
+            toolCalls: assignToolCallIds((choice.message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                args: parseToolArguments(call.function.arguments)
+            })))
+        };
+    }
+
+    parseUsage(result) {
+        const usage = result.usage;
+        if (!usage) return null;
+        return {
+            inputTokens: usage.prompt_tokens || 0,
+            outputTokens: usage.completion_tokens || 0,
+            cachedTokens: (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0
+        };
+    }
+
+    parseStreamEvent({ data }, state) {
+        if (data === '[DONE]') return null;
+
+        const result = JSON.parse(data);
+        const errorMessage = this.getErrorMessage(result);
+        if (errorMessage) throw new Error(`API Error: ${errorMessage}`);
+
+        // With stream_options.include_usage the last chunk has the usage and no choices
+        state.usage = this.parseUsage(result) || state.usage;
+        const choice = result.choices && result.choices[0];
+        if (!choice || !choice.delta) return null;
+
+        for (const fragment of choice.delta.tool_calls || []) {
+            const index = fragment.index || 0;
+            const call = state.partialToolCalls[index] || (state.partialToolCalls[index] = { id: '', name: '', arguments: '' });
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function && fragment.function.name) call.name += fragment.function.name;
+            if (fragment.function && fragment.function.arguments) call.arguments += fragment.function.arguments;
+        }
+
+        const token = choice.delta.content || null;
+        if (token) state.text += token;
+        return token;
+    }
+}
+OpenAIProvider.providerName = 'openai';
+OpenAIProvider.defaultBaseUrl = 'https://api.openai.com/v1';
+OpenAIProvider.apiKeyEnv = 'OPENAI_API_KEY';
+OpenAIProvider.defaultModel = 'gpt-4o-mini';
+
+class AnthropicProvider extends ModelProvider {
+    buildRequest({ model, messages, systemPrompt, temperature, maxTokens, tools = [], stream = false }) {
+        const anthropicMessages = [];
+
+        for (const msg of messages) {
+            let role = msg.role === 'assistant' ? 'assistant' : 'user';
+            let content;
+
+            if (msg.role === 'tool') {
+                content = [{ type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }];
+            } else if (msg.toolCalls && msg.toolCalls.length > 0) {
+                content = msg.content ? [{ type: 'text', text: msg.content }] : [];
+                for (const call of msg.toolCalls) {
+                    content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.args });
+                }
+            } else if (msg.attachments && msg.attachments.length > 0) {
+                content = [
+                    { type: 'text', text: msg.content },
+                    ...msg.attachments.map(attachment => attachment.data === undefined
+                        ? { type: 'text', text: this.attachmentNote(attachment) }
+                        : {
+                            type: attachment.mimeType.startsWith('image/') ? 'image' : 'document',
+                            source: { type: 'base64', media_type: attachment.mimeType, data: attachment.data }
+                        })
+                ];
+            } else {
+                content = msg.content;
+            }
+
+            // Results for one turn's tool calls go back together in a single user message
+            const previous = anthropicMessages[anthropicMessages.length - 1];
+            if (msg.role === 'tool' && previous && previous.role === 'user' && Array.isArray(previous.content) &&
+                previous.content.every(block => block.type === 'tool_result')) {
+                previous.content.push(...content);
+            } else {
+                anthropicMessages.push({ role, content });
+            }
+        }
+
+        const body = {
+            model: model,
+            max_tokens: maxTokens,
+            temperature: temperature,
+            ...(stream ? { stream: true } : {}),
+            messages: anthropicMessages
+        };
+
+        if (systemPrompt) {
+            body.system = systemPrompt;
+        }
+
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            }));
+        }
+
+        return {
+            url: `${this.baseUrl}/messages`,
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': '2023-06-01',
+                ...this.headers
+            },
+            body
+        };
+    }
+
+    parseResponse(result) {
+        if (!Array.isArray(result.content)) return null;
+        return {
+            text: result.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            toolCalls: result.content.filter(block => block.type === 'tool_use').map(block => ({
+                id: block.id,
+                name: block.name,
+                args: block.input || {}
+            }))
+        };
+    }
+
+    // Anthropic counts cache reads and writes apart from input_tokens
+    parseUsage(result) {
+        const usage = result.usage;
+        if (!usage) return null;
+        const cachedTokens = usage.cache_read_input_tokens || 0;
+        return {
+            inputTokens: (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0),
+            outputTokens: usage.output_tokens || 0,
+            cachedTokens
+        };
+    }
+
+    parseStreamEvent({ data }, state) {
+        const event = JSON.parse(data);
+        if (event.type === 'error') {
+            throw new Error(`API Error: ${this.getErrorMessage(event)}`);
+        }
+        // message_start has the input counts, message_delta the output so far
+        if (event.type === 'message_start') {
+            state.usage = this.parseUsage(event.message);
+        }
+        if (event.type === 'message_delta' && event.usage) {
+            state.usage = { inputTokens: 0, cachedTokens: 0, ...state.usage, outputTokens: event.usage.output_tokens || 0 };
+        }
+        if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+            state.partialToolCalls[event.index] = { id: event.content_block.id, name: event.content_block.name, arguments: '' };
+        }
+        if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+            state.partialToolCalls[event.index].arguments += event.delta.partial_json;
+        }
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+            state.text += event.delta.text;
+            return event.delta.text;
+        }
+        return null;
+    }
+}
+AnthropicProvider.providerName = 'anthropic';
+AnthropicProvider.defaultBaseUrl = 'https://api.anthropic.com/v1';
+AnthropicProvider.apiKeyEnv = 'ANTHROPIC_API_KEY';
+AnthropicProvider.defaultModel = 'claude-3-5-sonnet-latest';
+
+const APPROVAL_MODES = ['auto', 'ask', 'never'];
+const CHECKPOINT_REF = 'refs/delta/checkpoints';
+
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider
+};
+
+// USD per million tokens, used to estimate cost. `prices` in config.json adds models or overrides these.
+// A dated model name (gpt-4o-2024-08-06) uses the longest entry it starts with.
+const MODEL_PRICES = {
+    'gemini-2.0-flash': { input: 0.10, output: 0.40, cached: 0.025 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00, cached: 0.3125 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30, cached: 0.01875 },
+    'gpt-4o': { input: 2.50, output: 10.00, cached: 1.25 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60, cached: 0.075 },
+    'claude-3-5-sonnet': { input: 3.00, output: 15.00, cached: 0.30 },
+    'claude-3-5-haiku': { input: 0.80, output: 4.00, cached: 0.08 }
+};
+const BUDGET_SCOPES = ['request', 'session', 'daily'];
+
+function emptyUsage() {
+    return { inputTokens: 0, outputTokens: 0, cachedTokens: 0, cost: 0 };
+}
+
+// cost is null when the model has no known price; the total then only covers priced calls
+function addUsage(total, usage) {
+    total.inputTokens += usage.inputTokens || 0;
+    total.outputTokens += usage.outputTokens || 0;
+    total.cachedTokens += usage.cachedTokens || 0;
+    total.cost += usage.cost || 0;
+    if (usage.cost === null) total.unpriced = true;
+    if (usage.estimated) total.estimated = true;
+    return total;
+}
+
+function formatCost(cost) {
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+function formatUsage(usage) {
+    const approx = usage.estimated ? '~' : '';
+    const cached = usage.cachedTokens ? ` (${usage.cachedTokens.toLocaleString()} cached)` : '';
+    const cost = usage.unpriced ? (usage.cost > 0 ? `${formatCost(usage.cost)}+` : 'cost unknown') : formatCost(usage.cost);
+    return `${approx}${usage.inputTokens.toLocaleString()} in${cached} · ${approx}${usage.outputTokens.toLocaleString()} out · ${cost}`;
+}
+
+// ANSI colors, disabled when output isn't a terminal or NO_COLOR is set
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+const colors = {
+    red: (text) => useColor ? `\x1b[31m${text}\x1b[0m` : text,
+    green: (text) => useColor ? `\x1b[32m${text}\x1b[0m` : text,
+    yellow: (text) => useColor ? `\x1b[33m${text}\x1b[0m` : text,
+    cyan: (text) => useColor ? `\x1b[36m${text}\x1b[0m` : text,
+    bold: (text) => useColor ? `\x1b[1m${text}\x1b[0m` : text,
+    dim: (text) => useColor ? `\x1b[2m${text}\x1b[0m` : text
+};
+
+function stripAnsi(text) {
+    return text.replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+// Past this many edits on each side of the middle snake a changed region is shown as one
+// replacement, which keeps the time of diffing two unrelated large files bounded
+const DIFF_MAX_EDITS = 2000;
+
+// Line-based Myers diff in linear space. Returns [{ type: ' ' | '-' | '+', line }]
+function diffLines(oldLines, newLines) {
+    const entries = [];
+    diffRange(oldLines, newLines, 0, oldLines.length, 0, newLines.length, entries);
+    return entries;
+}
+
+// Diff a[aStart, aEnd) against b[bStart, bEnd) by splitting at the middle snake and recursing
+function diffRange(a, b, aStart, aEnd, bStart, bEnd, entries) {
+    // Strip the common prefix and suffix so the search only covers the changed middle
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        entries.push({ type: ' ', line: a[aStart] });
+        aStart++;
+        bStart++;
+    }
+    let suffix = 0;
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] === b[bEnd - 1]) {
+        aEnd--;
+        bEnd--;
+        suffix++;
+    }
+
+    const snake = aStart < aEnd && bStart < bEnd ? findMiddleSnake(a, b, aStart, aEnd, bStart, bEnd) : null;
+    if (snake) {
+        diffRange(a, b, aStart, snake.x, bStart, snake.y, entries);
+        for (let i = snake.x; i < snake.u; i++) entries.push({ type: ' ', line: a[i] });
+        diffRange(a, b, snake.u, aEnd, snake.v, bEnd, entries);
+    } else {
+        for (let i = aStart; i < aEnd; i++) entries.push({ type: '-', line: a[i] });
+        for (let i = bStart; i < bEnd; i++) entries.push({ type: '+', line: b[i] });
+    }
+
+    for (let i = aEnd; i < aEnd + suffix; i++) entries.push({ type: ' ', line: a[i] });
+}
+
+// Search from both ends at once for the snake in the middle of a shortest edit script.
+// Returns { x, y, u, v } (the snake runs from a[x]/b[y] to a[u]/b[v]) or null past DIFF_MAX_EDITS.
+function findMiddleSnake(a, b, aStart, aEnd, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = delta % 2 !== 0;
+    const max = Math.min(Math.ceil((n + m) / 2), DIFF_MAX_EDITS);
+    const offset = max + 1;
+    // Furthest x reached on each diagonal, forwards from the start and backwards from the end
+    const forward = new Int32Array(2 * offset + 1);
+    const backward = new Int32Array(2 * offset + 1);
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+            // Diagonal k meets the backward diagonal delta - k
+            if (odd && Math.abs(delta - k) <= d - 1 && x + backward[offset + delta - k] >= n) {
+                return { x: aStart + startX, y: bStart + startY, u: aStart + x, v: bStart + y };
+            }
+        }
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+            if (!odd && Math.abs(delta - k) <= d && x + forward[offset + delta - k] >= n) {
+                return { x: aEnd - x, y: bEnd - y, u: aEnd - startX, v: bEnd - startY };
+            }
+        }
+    }
+    return null;
+}
+
+// Diff two file contents and group the changes into unified-diff hunks
+function createDiff(oldContent, newContent, context = 3) {
+    const entries = diffLines(oldContent === '' ? [] : oldContent.split('\n'), newContent === '' ? [] : newContent.split('\n'));
+
+    let oldNo = 1;
+    let newNo = 1;
+    for (const entry of entries) {
+        entry.oldNo = oldNo;
+        entry.newNo = newNo;
+        if (entry.type !== '+') oldNo++;
+        if (entry.type !== '-') newNo++;
+    }
+
+    const hunks = [];
+    let current = null;
+    entries.forEach((entry, index) => {
+        if (entry.type === ' ') return;
+
+        const start = Math.max(0, index - context);
+        if (current && start <= current.end + 1) {
+            current.end = Math.min(entries.length - 1, index + context);
+        } else {
+            current = { start, end: Math.min(entries.length - 1, index + context) };
+            hunks.push(current);
+        }
+    });
+
+    hunks.forEach((hunk, hunkIndex) => {
+        const lines = entries.slice(hunk.start, hunk.end + 1);
+        lines.forEach(entry => {
+            if (entry.type !== ' ') entry.hunk = hunkIndex;
+        });
+        hunk.oldLines = lines.filter(entry => entry.type !== '+').length;
+        hunk.newLines = lines.filter(entry => entry.type !== '-').length;
+        // An empty side is reported as starting at the line before, like `diff -u`
+        hunk.oldStart = hunk.oldLines === 0 ? lines[0].oldNo - 1 : lines[0].oldNo;
+        hunk.newStart = hunk.newLines === 0 ? lines[0].newNo - 1 : lines[0].newNo;
+    });
+
+    return { entries, hunks };
+}
+
+// Rebuild the file keeping only the hunks that were accepted
+function applyHunks(diff, accepted) {
+    const lines = [];
+    for (const entry of diff.entries) {
+        if (entry.type === ' ') {
+            lines.push(entry.line);
+        } else if (entry.type === '-' && !accepted.has(entry.hunk)) {
+            lines.push(entry.line);
+        } else if (entry.type === '+' && accepted.has(entry.hunk)) {
+            lines.push(entry.line);
+        }
+    }
+    return lines.join('\n');
+}
+
+function formatHunk(diff, hunk) {
+    const header = colors.cyan(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    const lines = diff.entries.slice(hunk.start, hunk.end + 1).map(entry => {
+        if (entry.type === '-') return colors.red(`-${entry.line}`);
+        if (entry.type === '+') return colors.green(`+${entry.line}`);
+        return ` ${entry.line}`;
+    });
+    return [header, ...lines].join('\n');
+}
+
+function formatDiff(filePath, diff, isNewFile = false) {
+    const header = [
+        colors.bold(`--- ${isNewFile ? '/dev/null' : `a/${filePath}`}`),
+        colors.bold(`+++ b/${filePath}`)
+    ];
+    return [...header, ...diff.hunks.map(hunk => formatHunk(diff, hunk))].join('\n');
+}
+
+// Targeted edits: SEARCH/REPLACE blocks and unified diffs from a model response.
+// Both are turned into { filename, search, replace, line } edits.
+function parseEditBlocks(text) {
+    const edits = [];
+    const lines = text.split('\n');
+    let lastFilename = null;
+
+    const cleanFilename = (line) => line
+        .replace(/^\s*(?:\/\/|#|--|\/\*)\s*/, '')
+        .replace(/\*\/\s*$/, '')
+        .replace(/^(?:file(?:name)?|path)\s*:\s*/i, '')
+        .replace(/[`*"']/g, '')
+        .replace(/:\s*$/, '')
+        .trim();
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (/^<{5,9} SEARCH\s*$/.test(line.trim())) {
+            // The filename sits on the closest line above the block that isn't a fence
+            let filename = null;
+            for (let j = i - 1; j >= Math.max(0, i - 3); j--) {
+                const candidate = lines[j].trim();
+                if (!candidate || candidate.startsWith('```')) continue;
+                const cleaned = cleanFilename(candidate);
+                if (/^[\w./@-]+\.\w+$|^[\w./@-]*\/[\w.@-]+$|^(?:Makefile|Dockerfile)$/.test(cleaned)) filename = cleaned;
+                break;
+            }
+            filename = filename || lastFilename;
+
+            const search = [];
+            const replace = [];
+            let j = i + 1;
+            while (j < lines.length && !/^={5,9}\s*$/.test(lines[j].trim())) search.push(lines[j++]);
+            j++;
+            while (j < lines.length && !/^>{5,9} REPLACE\s*$/.test(lines[j].trim())) replace.push(lines[j++]);
+
+            if (filename && j < lines.length) {
+                edits.push({ filename, search: search.join('\n'), replace: replace.join('\n'), format: 'search-replace' });
+                lastFilename = filename;
+            }
+            i = j;
+            continue;
+        }
+
+        if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+            const stripPrefix = (value) => value.slice(4).split('\t')[0].trim().replace(/^[ab]\//, '');
+            const oldPath = stripPrefix(line);
+            const newPath = stripPrefix(lines[i + 1]);
+            const filename = newPath === '/dev/null' ? oldPath : newPath;
+            let j = i + 2;
+
+            while (j < lines.length && lines[j].startsWith('@@')) {
+                const header = lines[j].match(/^@@ -(\d+)(?:,\d+)? \+\d+(?:,\d+)? @@/);
+                const search = [];
+                const replace = [];
+                j++;
+
+                while (j < lines.length) {
+                    const hunkLine = lines[j];
+                    // Models often drop the leading space on blank context lines
+                    const isBlankContext = hunkLine === '' && j + 1 < lines.length && /^[ +-]/.test(lines[j + 1]) &&
+                        !lines[j + 1].startsWith('--- ');
+                    if (hunkLine.startsWith(' ') || isBlankContext) {
+                        search.push(hunkLine.slice(1));
+                        replace.push(hunkLine.slice(1));
+                    } else if (hunkLine.startsWith('-') && !hunkLine.startsWith('--- ')) {
+                        search.push(hunkLine.slice(1));
+                    } else if (hunkLine.startsWith('+') && !hunkLine.startsWith('+++ ')) {
+                        replace.push(hunkLine.slice(1));
+                    } else if (!hunkLine.startsWith('\\')) {
+                        break;
+                    }
+                    j++;
+                }
+
+                edits.push({
+                    filename,
+                    search: search.join('\n'),
+                    replace: replace.join('\n'),
+                    line: header ? parseInt(header[1], 10) : null,
+                    deleteFile: newPath === '/dev/null',
+                    format: 'unified-diff'
+                });
+            }
+            i = j - 1;
+        }
+    }
+
+    return edits;
+}
+
+function normalizeLine(line) {
+    return line.trim().replace(/\s+/g, ' ');
+}
+
+// Dice coefficient over character bigrams, 0..1
+function lineSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigrams = new Map();
+    for (let i = 0; i < a.length - 1; i++) {
+        const bigram = a.slice(i, i + 2);
+        bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+    }
+
+    let overlap = 0;
+    for (let i = 0; i < b.length - 1; i++) {
+        const bigram = b.slice(i, i + 2);
+        const count = bigrams.get(bigram) || 0;
+        if (count > 0) {
+            bigrams.set(bigram, count - 1);
+            overlap++;
+        }
+    }
+
+    return (2 * overlap) / (a.length + b.length - 2);
+}
+
+// Apply one search/replace to file content: exact match first, then ignoring whitespace,
+// then the most similar block of lines. Returns { content, method } or { error }.
+function applyEdit(content, search, replace, options = {}) {
+    const { line = null, fuzzyThreshold = 0.85 } = options;
+
+    if (search.trim() === '') {
+        if (content.trim() === '') return { content: replace, method: 'create' };
+        return { error: 'SEARCH is empty but the file already has content' };
+    }
+
+    const lineOf = (index) => content.slice(0, index).split('\n').length;
+    const nearest = (candidates, getLine) => {
+        if (candidates.length === 1) return candidates[0];
+        if (!line) return null;
+        return candidates.reduce((best, candidate) =>
+            Math.abs(getLine(candidate) - line) < Math.abs(getLine(best) - line) ? candidate : best);
+    };
+
+    // 1. Exact
+    const positions = [];
+    for (let index = content.indexOf(search); index !== -1; index = content.indexOf(search, index + 1)) {
+        positions.push(index);
+    }
+    if (positions.length > 0) {
+        const position = nearest(positions, lineOf);
+        if (position === null) {
+            return { error: `SEARCH matches ${positions.length} places; include more surrounding lines to make it unique` };
+        }
+        return { content: content.slice(0, position) + replace + content.slice(position + search.length), method: 'exact' };
+    }
+
+    const contentLines = content.split('\n');
+    const searchLines = search.replace(/\n+$/, '').split('\n');
+    const replaceLines = replace === '' ? [] : replace.replace(/\n$/, '').split('\n');
+    const normalizedSearch = searchLines.map(normalizeLine);
+    const windowCount = contentLines.length - searchLines.length + 1;
+
+    const replaceWindow = (start, method, extra = {}) => {
+        // Shift the replacement by however much the file's indentation differs from the model's
+        const firstIndex = searchLines.findIndex(l => l.trim());
+        const fileIndent = (contentLines[start + Math.max(0, firstIndex)].match(/^\s*/) || [''])[0];
+        const searchIndent = (searchLines[Math.max(0, firstIndex)].match(/^\s*/) || [''])[0];
+        const reindented = replaceLines.map(l => {
+            if (!l.trim() || fileIndent === searchIndent) return l;
+            if (fileIndent.startsWith(searchIndent)) return fileIndent.slice(searchIndent.length) + l;
+            if (searchIndent.startsWith(fileIndent) && l.startsWith(searchIndent.slice(fileIndent.length))) {
+                return l.slice(searchIndent.length - fileIndent.length);
+            }
+            return l;
+        });
+
+        const updated = [...contentLines.slice(0, start), ...reindented, ...contentLines.slice(start + searchLines.length)];
+        return { content: updated.join('\n'), method, ...extra };
+    };
+
+    // 2. Same lines, different whitespace
+    const whitespaceMatches = [];
+    for (let start = 0; start < windowCount; start++) {
+        if (normalizedSearch.every((l, i) => normalizeLine(contentLines[start + i]) === l)) {
+            whitespaceMatches.push(start);
+        }
+    }
+    if (whitespaceMatches.length > 0) {
+        const start = nearest(whitespaceMatches, s => s + 1);
+        if (start === null) {
+            return { error: `SEARCH matches ${whitespaceMatches.length} places (ignoring whitespace); include more surrounding lines` };
+        }
+        return replaceWindow(start, 'whitespace');
+    }
+
+    // 3. Most similar block of lines
+    let best = { score: 0, start: -1 };
+    for (let start = 0; start < windowCount; start++) {
+        let total = 0;
+        for (let i = 0; i < searchLines.length; i++) {
+            total += lineSimilarity(normalizeLine(contentLines[start + i]), normalizedSearch[i]);
+        }
+        const score = total / searchLines.length;
+        const closer = line && best.start !== -1 && score === best.score && Math.abs(start + 1 - line) < Math.abs(best.start + 1 - line);
+        if (score > best.score || closer) best = { score, start };
+    }
+
+    if (best.start !== -1 && best.score >= fuzzyThreshold) {
+        return replaceWindow(best.start, 'fuzzy', { score: best.score });
+    }
+
+    const closest = best.start === -1 ? '' : ` (closest match ${Math.round(best.score * 100)}% similar at line ${best.start + 1})`;
+    return { error: `SEARCH block not found${closest}` };
+}
+
+// Split a shell command line into simple commands without running a shell.
+// Returns { commands: [{ argv, redirects, pipedFrom }], nested: [scripts], error }.
+// Heredoc redirects carry their text as `body`.
+function tokenizeShell(command) {
+    const commands = [];
+    const nested = [];
+    let argv = [];
+    let redirects = [];
+    let word = null;
+    let quoted = false;
+    let pendingRedirect = null;
+    let heredocs = [];
+    let pipedFrom = false;
+    let i = 0;
+
+    const finishWord = () => {
+        if (word === null) return;
+        if (pendingRedirect) {
+            const redirect = { op: pendingRedirect, target: word };
+            redirects.push(redirect);
+            if (pendingRedirect === '<<' || pendingRedirect === '<<-') heredocs.push({ redirect, quoted });
+            pendingRedirect = null;
+        } else {
+            argv.push(word);
+        }
+        word = null;
+        quoted = false;
+    };
+    const finishCommand = (nextPiped = false) => {
+        finishWord();
+        if (argv.length > 0 || redirects.length > 0) {
+            commands.push({ argv, redirects, pipedFrom });
+        }
+        argv = [];
+        redirects = [];
+        pipedFrom = nextPiped;
+    };
+    // Read a balanced $( ... ) or ( ... ) body starting after the opening paren
+    const readParens = () => {
+        let depth = 1;
+        const start = i;
+        while (i < command.length && depth > 0) {
+            const ch = command[i];
+            if (ch === '\\') i++;
+            else if (ch === "'") i = command.indexOf("'", i + 1) === -1 ? command.length : command.indexOf("'", i + 1);
+            else if (ch === '(') depth++;
+            else if (ch === ')') depth--;
+            i++;
+        }
+        if (depth > 0) return null;
+        return command.slice(start, i - 1);
+    };
+    // Read the bodies of the heredocs started on the line that just ended. An unquoted
+    // delimiter means $( ... ) and backticks in the body still run.
+    const readHeredocs = () => {
+        for (const { redirect, quoted: literal } of heredocs) {
+            const strip = redirect.op === '<<-';
+            const start = i;
+            let end = command.length;
+            const lines = [];
+            while (i < command.length) {
+                const lineEnd = command.indexOf('\n', i) === -1 ? command.length : command.indexOf('\n', i);
+                let line = command.slice(i, lineEnd);
+                if (strip) line = line.replace(/^\t+/, '');
+                if (line === redirect.target) {
+                    end = i;
+                    i = lineEnd + 1;
+                    break;
+                }
+                lines.push(line);
+                i = lineEnd + 1;
+            }
+            redirect.body = lines.join('\n');
+            if (literal) continue;
+
+            const resume = Math.min(i, command.length);
+            i = start;
+            while (i < end) {
+                if (command[i] === '\\') {
+                    i += 2;
+                } else if (command[i] === '$' && command[i + 1] === '(') {
+                    i += 2;
+                    const body = readParens();
+                    if (body === null) return 'unterminated $( in heredoc';
+                    nested.push(body);
+                } else if (command[i] === '`') {
+                    const close = command.indexOf('`', i + 1);
+                    if (close === -1) return 'unterminated backtick in heredoc';
+                    nested.push(command.slice(i + 1, close));
+                    i = close + 1;
+                } else {
+                    i++;
+                }
+            }
+            i = resume;
+        }
+        heredocs = [];
+        return null;
+    };
+
+    while (i < command.length) {
+        const ch = command[i];
+
+        if (ch === '\\') {
+            if (command[i + 1] === '\n') {
+                i += 2;
+                continue;
+            }
+            word = (word || '') + (command[i + 1] || '');
+            quoted = true;
+            i += 2;
+        } else if (ch === "'") {
+            const end = command.indexOf("'", i + 1);
+            if (end === -1) return { commands, nested, error: 'unterminated single quote' };
+            word = (word || '') + command.slice(i + 1, end);
+            quoted = true;
+            i = end + 1;
+        } else if (ch === '"') {
+            i++;
+            word = word || '';
+            quoted = true;
+            while (i < command.length && command[i] !== '"') {
+                if (command[i] === '\\' && i + 1 < command.length) {
+                    word += command[i + 1];
+                    i += 2;
+                } else if (command[i] === '$' && command[i + 1] === '(') {
+                    i += 2;
+                    const body = readParens();
+                    if (body === null) return { commands, nested, error: 'unterminated $(' };
+                    nested.push(body);
+                    word += '$(...)';
+                } else if (command[i] === '`') {
+                    const end = command.indexOf('`', i + 1);
+                    if (end === -1) return { commands, nested, error: 'unterminated backtick' };
+                    nested.push(command.slice(i + 1, end));
+                    word += '$(...)';
+                    i = end + 1;
+                } else {
+                    word += command[i++];
+                }
+            }
+            if (i >= command.length) return { commands, nested, error: 'unterminated double quote' };
+            i++;
+        } else if (ch === '$' && command[i + 1] === '(') {
+            i += 2;
+            const body = readParens();
+            if (body === null) return { commands, nested, error: 'unterminated $(' };
+            nested.push(body);
+            word = (word || '') + '$(...)';
+        } else if (ch === '`') {
+            const end = command.indexOf('`', i + 1);
+            if (end === -1) return { commands, nested, error: 'unterminated backtick' };
+            nested.push(command.slice(i + 1, end));
+            word = (word || '') + '$(...)';
+            i = end + 1;
+        } else if (ch === '(') {
+            if (word !== null) return { commands, nested, error: 'function definitions are not supported' };
+            // Subshell: check its body as its own command line
+            i++;
+            const body = readParens();
+            if (body === null) return { commands, nested, error: 'unterminated (' };
+            nested.push(body);
+        } else if (ch === '{' && word === null && /[\s;]/.test(command[i + 1] || ' ')) {
+            i++; // Command group; its commands are checked like any others
+        } else if (ch === '}' && word === null) {
+            i++;
+        } else if (/\s/.test(ch) && ch !== '\n') {
+            finishWord();
+            i++;
+        } else if (ch === '\n') {
+            finishCommand();
+            i++;
+            const error = readHeredocs();
+            if (error) return { commands, nested, error };
+        } else if (ch === ';') {
+            finishCommand();
+            i++;
+        } else if (ch === '&' && command[i + 1] === '&') {
+            finishCommand();
+            i += 2;
+        } else if (ch === '|' && command[i + 1] === '|') {
+            finishCommand();
+            i += 2;
+        } else if (ch === '|') {
+            finishCommand(true);
+            i += command[i + 1] === '&' ? 2 : 1;
+        } else if (ch === '&' && command[i + 1] === '>') {
+            finishWord();
+            pendingRedirect = command[i + 2] === '>' ? '&>>' : '&>';
+            i += pendingRedirect.length;
+        } else if (ch === '&') {
+            finishCommand();
+            i++;
+        } else if (ch === '>' || ch === '<') {
+            // Fold a file descriptor number like 2> into the operator
+            let op = ch;
+            if (word !== null && /^\d+$/.test(word)) {
+                op = word + op;
+                word = null;
+            }
+            finishWord();
+            i++;
+            if (command[i] === ch) {
+                op += ch;
+                i++;
+                // <<< here-string, <<- heredoc with leading tabs stripped
+                if (ch === '<' && (command[i] === '<' || command[i] === '-')) op += command[i++];
+            }
+            if (command[i] === '&') {
+                // 2>&1 style duplication, not a file
+                i++;
+                while (i < command.length && /[\d-]/.test(command[i])) i++;
+                continue;
+            }
+            pendingRedirect = op;
+        } else {
+            word = (word || '') + ch;
+            i++;
+        }
+    }
+
+    finishCommand();
+    if (pendingRedirect) return { commands, nested, error: 'redirection without a target' };
+    return { commands, nested, error: null };
+}
+
+const SHELLS = ['sh', 'bash', 'zsh', 'dash', 'ksh', 'fish'];
+const INLINE_CODE_FLAGS = {
+    python: ['-c'], python3: ['-c'], node: ['-e', '--eval', '-p', '--print'], perl: ['-e', '-E'],
+    ruby: ['-e'], php: ['-r'], deno: ['eval'], bun: ['-e', '--eval']
+};
+const COMMAND_WRAPPERS = ['env', 'nohup', 'time', 'nice', 'command', 'exec', 'stdbuf', 'timeout', 'xargs'];
+const NETWORK_COMMANDS = ['curl', 'wget', 'ssh', 'scp', 'sftp', 'rsync', 'nc', 'ncat', 'telnet', 'ftp'];
+const PRIVILEGE_COMMANDS = ['sudo', 'su', 'doas', 'pkexec'];
+const DISK_COMMANDS = ['mkfs', 'fdisk', 'sfdisk', 'parted', 'wipefs', 'shutdown', 'reboot', 'halt', 'poweroff'];
+const SECRET_ENV_PATTERN = /API_?KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL|PRIVATE_KEY/i;
+const GIT_OPTIONS_WITH_VALUES = ['-C', '-c', '--git-dir', '--work-tree', '--namespace'];
+
+// The words that say what a simple command does: VAR=value prefixes, wrappers like env or
+// timeout and git's global options (git -C dir push) are skipped
+function getCommandWords(argv) {
+    let args = argv.slice();
+    while (args.length > 0) {
+        if (/^\w+=/.test(args[0])) {
+            args.shift();
+        } else if (COMMAND_WRAPPERS.includes(path.basename(args[0]))) {
+            const wrapper = path.basename(args.shift());
+            while (args.length > 0 && (args[0].startsWith('-') || /^\w+=/.test(args[0]) || (wrapper === 'timeout' && /^\d/.test(args[0])))) {
+                args.shift();
+            }
+        } else {
+            break;
+        }
+    }
+    if (args.length > 0 && path.basename(args[0]) === 'git') {
+        let i = 1;
+        while (i < args.length && args[i].startsWith('-')) i += GIT_OPTIONS_WITH_VALUES.includes(args[i]) ? 2 : 1;
+        args = [args[0], ...args.slice(i)];
+    }
+    return args;
+}
+
+// Every simple command in a command line, including subshells, $( ... ) and scripts run by a
+// shell (-c, here-strings and heredocs), as command words. Returns null when the line can't be parsed.
+function listCommandWords(command, depth = 0) {
+    const parsed = tokenizeShell(command);
+    if (parsed.error || depth > 3) return null;
+    const commands = [];
+    for (const script of parsed.nested) {
+        const nested = listCommandWords(script, depth + 1);
+        if (!nested) return null;
+        commands.push(...nested);
+    }
+    for (const { argv, redirects } of parsed.commands) {
+        const words = getCommandWords(argv);
+        if (words.length === 0) continue;
+        commands.push(words);
+        if (!SHELLS.includes(path.basename(words[0]))) continue;
+
+        const flagIndex = words.findIndex(word => /^-[a-z]*c[a-z]*$/.test(word));
+        const input = redirects.find(redirect => redirect.op === '<<<' || redirect.body !== undefined);
+        const script = flagIndex !== -1 ? words[flagIndex + 1] : (input && (input.op === '<<<' ? input.target : input.body));
+        if (script !== undefined) {
+            const nested = listCommandWords(script, depth + 1);
+            if (!nested) return null;
+            commands.push(...nested);
+        }
+    }
+    return commands;
+}
+
+const WRITE_COMMANDS = ['rm', 'rmdir', 'mv', 'cp', 'touch', 'mkdir', 'chmod', 'chown', 'chgrp', 'ln', 'truncate', 'shred', 'unlink', 'tee', 'install'];
+
+// Decides what happens to a command before it runs: allow (no prompt), ask (always prompt),
+// deny, or default (leave it to the approval mode). Rules match argv prefixes, e.g. "git push".
+class CommandPolicy {
+    constructor(settings = {}, projectDir = process.cwd()) {
+        this.allow = (settings.allow || []).map(rule => rule.trim().split(/\s+/));
+        this.deny = (settings.deny || []).map(rule => rule.trim().split(/\s+/));
+        this.defaultDecision = ['allow', 'ask', 'deny'].includes(settings.default) ? settings.default : 'default';
+        this.network = settings.network !== false;
+        this.networkEnforced = false;
+        this.projectDir = projectDir;
+    }
+
+    // `dir` is where the command starts; null once a cd has made it unknowable
+    evaluate(command, depth = 0, dir = this.projectDir) {
+        if (depth > 3) return { decision: 'ask', reason: 'deeply nested shell commands' };
+
+        const parsed = tokenizeShell(command);
+        if (parsed.error) return { decision: 'deny', reason: `could not parse command (${parsed.error})` };
+
+        // Relative paths in later commands resolve against the directory earlier cd's moved to
+        let current = dir;
+        const results = parsed.commands.map(simple => {
+            const result = this.evaluateSimple(simple, depth, current);
+            current = this.changeDirectory(simple.argv, current);
+            return result;
+        });
+        // Subshells and substitutions can't be placed in that sequence, so after a cd their directory is unknown
+        const nestedDir = current === dir ? dir : null;
+        results.unshift(...parsed.nested.map(script => this.evaluate(script, depth + 1, nestedDir)));
+
+        for (const decision of ['deny', 'ask', 'default']) {
+            const match = results.find(result => result.decision === decision);
+            if (match) return match;
+        }
+        return results.length > 0 ? { decision: 'allow', reason: results[0].reason } : { decision: 'default', reason: 'empty command' };
+    }
+
+    // The directory after running argv in `dir`: unchanged unless it is a cd, pushd or popd
+    changeDirectory(argv, dir) {
+        if (!['cd', 'pushd', 'popd'].includes(argv[0])) return dir;
+        const targets = argv.slice(1).filter(arg => !arg.startsWith('-'));
+        if (argv[0] === 'popd' || argv.includes('-') || targets.length > 1) return null;
+        if (targets.length === 0) return argv[0] === 'cd' ? os.homedir() : null;
+        return this.resolvePath(targets[0], dir);
+    }
+
+    // Whether writing to target from `dir` needs a decision: null when it stays in the project
+    checkWrite(target, dir, action) {
+        if (this.isWritablePath(target, dir)) return null;
+        if (dir === null && this.resolvePath(target) !== null && this.resolvePath(target, dir) === null) {
+            return { decision: 'ask', reason: `${action} ${target} after a cd to a directory that can't be known ahead of time` };
+        }
+        return { decision: 'deny', reason: `${action} ${target}, outside the project directory` };
+    }
+
+    evaluateSimple({ argv, redirects, pipedFrom }, depth, dir = this.projectDir) {
+        const args = getCommandWords(argv);
+
+        for (const redirect of redirects) {
+            const write = redirect.op.includes('>') && this.checkWrite(redirect.target, dir, 'writes to');
+            if (write) return write;
+        }
+
+        if (args.length === 0) return { decision: 'allow', reason: 'no program' };
+
+        const program = path.basename(args[0]);
+        const rest = args.slice(1);
+        const matches = (rules) => rules.some(rule => rule.length <= args.length &&
+            rule.every((token, i) => token === '*' || token === (i === 0 ? program : args[i])));
+
+        if (matches(this.deny)) return { decision: 'deny', reason: `matches a deny rule for ${program}` };
+
+        const risk = this.checkBuiltinRisks(program, rest, { redirects, pipedFrom, depth, dir });
+        if (risk) return risk;
+
+        if (matches(this.allow)) return { decision: 'allow', reason: `matches an allow rule for ${program}` };
+        return { decision: this.defaultDecision, reason: 'no policy rule matched' };
+    }
+
+    checkBuiltinRisks(program, args, { redirects, pipedFrom, depth, dir }) {
+        if (PRIVILEGE_COMMANDS.includes(program)) {
+            return { decision: 'deny', reason: `${program} runs commands with elevated privileges` };
+        }
+        if (DISK_COMMANDS.some(name => program === name || program.startsWith(`${name}.`))) {
+            return { decision: 'deny', reason: `${program} can damage the system` };
+        }
+        const output = program === 'dd' && args.find(arg => arg.startsWith('of='));
+        const ddWrite = output && this.checkWrite(output.slice(3), dir, 'dd writes to');
+        if (ddWrite) return ddWrite;
+
+        // Here-strings and heredocs feed a script on stdin
+        const inlineScript = redirects.find(redirect => redirect.op === '<<<' || redirect.body !== undefined);
+        if (SHELLS.includes(program)) {
+            const flagIndex = args.findIndex(arg => /^-[a-z]*c[a-z]*$/.test(arg));
+            if (flagIndex !== -1) {
+                if (args[flagIndex + 1] === undefined) return { decision: 'deny', reason: `${program} -c without a script` };
+                return this.evaluate(args[flagIndex + 1], depth + 1, dir);
+            }
+            const runsScriptFile = args.some(arg => !arg.startsWith('-'));
+            if (inlineScript && !runsScriptFile) {
+                return this.evaluate(inlineScript.op === '<<<' ? inlineScript.target : inlineScript.body, depth + 1, dir);
+            }
+            if (pipedFrom && !runsScriptFile) {
+                return { decision: 'deny', reason: `pipes data into ${program} to be executed` };
+            }
+        }
+
+        if (['eval', 'source', '.'].includes(program)) {
+            return { decision: 'ask', reason: `${program} runs code that can't be checked ahead of time` };
+        }
+
+        const inlineFlags = INLINE_CODE_FLAGS[program.replace(/[\d.]+$/, '')] || INLINE_CODE_FLAGS[program];
+        if (inlineFlags && (args.some(arg => inlineFlags.includes(arg)) || (inlineScript && args.length === 0))) {
+            return { decision: 'ask', reason: `${program} runs inline code that can't be checked ahead of time` };
+        }
+
+        if (program === 'find' && args.some(arg => ['-exec', '-execdir', '-delete', '-ok'].includes(arg))) {
+            return { decision: 'ask', reason: 'find runs or deletes on every match' };
+        }
+
+        if (!this.network && !this.networkEnforced && NETWORK_COMMANDS.includes(program)) {
+            return { decision: 'deny', reason: `${program} needs the network, which this project's policy disables` };
+        }
+
+        if (WRITE_COMMANDS.includes(program)) {
+            let targets = args.filter(arg => !arg.startsWith('-'));
+            if (['chmod', 'chown', 'chgrp'].includes(program)) targets = targets.slice(1);
+            if (program === 'cp' || program === 'install') targets = targets.slice(-1);
+
+            for (const target of targets) {
+                const write = this.checkWrite(target, dir, `${program} touches`);
+                if (write) return write;
+                if (['rm', 'rmdir', 'mv', 'shred'].includes(program) && this.resolvePath(target, dir) === this.projectDir) {
+                    return { decision: 'deny', reason: `${program} would remove the project directory itself` };
+                }
+            }
+            if (program === 'rm' && targets.length === 0) {
+                return { decision: 'ask', reason: 'rm without explicit targets' };
+            }
+        }
+
+        return null;
+    }
+
+    // Absolute path for target relative to dir, or null when it depends on an unknown directory or variable
+    resolvePath(target, dir = this.projectDir) {
+        const home = os.homedir();
+        const expanded = target
+            .replace(/^~(?=\/|$)/, home)
+            .replace(/^\$\{?HOME\}?(?=\/|$)/, home);
+        if (/\$/.test(expanded)) return null;
+        if (path.isAbsolute(expanded)) return path.resolve(expanded);
+        return dir === null ? null : path.resolve(dir, expanded);
+    }
+
+    isWritablePath(target, dir = this.projectDir) {
+        if (['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty'].includes(target)) return true;
+
+        const resolved = this.resolvePath(target, dir);
+        if (resolved === null) return false;
+        const relative = path.relative(this.projectDir, resolved);
+        if (relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative))) return true;
+
+        // Anything inside the temp directory, but not the directory itself
+        return resolved.startsWith(os.tmpdir() + path.sep);
+    }
+}
+
+// Compile one gitignore line into a rule, or null for blanks and comments.
+// Rules match paths relative to the directory holding the ignore file.
+function parseIgnorePattern(line) {
+    let pattern = line.replace(/\r$/, '');
+    if (!pattern.trim() || pattern.startsWith('#')) return null;
+
+    // Trailing spaces are dropped unless escaped
+    pattern = pattern.replace(/(?<!\\)\s+$/, '');
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+
+    const dirOnly = pattern.endsWith('/');
+    if (dirOnly) pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) return null;
+
+    // A slash anywhere but the end anchors the pattern to its directory
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+
+    let source = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const ch = pattern[i];
+        if (ch === '*' && pattern[i + 1] === '*' && (i === 0 || pattern[i - 1] === '/') && (i + 2 === pattern.length || pattern[i + 2] === '/')) {
+            if (i + 2 === pattern.length) {
+                source += '.*';
+            } else {
+                source += '(?:.*/)?';
+                i++; // the slash after **
+            }
+            i += 2;
+        } else if (ch === '*') {
+            source += '[^/]*';
+            i++;
+        } else if (ch === '?') {
+            source += '[^/]';
+            i++;
+        } else if (ch === '[') {
+            const end = pattern.indexOf(']', i + 2);
+            if (end === -1) {
+                source += '\\[';
+                i++;
+            } else {
+                let body = pattern.slice(i + 1, end);
+                if (body.startsWith('!')) body = '^' + body.slice(1);
+                source += `[${body.replace(/\\/g, '\\\\')}]`;
+                i = end + 1;
+            }
+        } else if (ch === '\\' && i + 1 < pattern.length) {
+            source += pattern[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            i += 2;
+        } else {
+            source += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            i++;
+        }
+    }
+
+    try {
+        return { regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`), negate, dirOnly };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Answers "is this path ignored?" the way git does: .git/info/exclude, every .gitignore from the
+// repository root down, then .deltaignore files, with later and deeper rules winning and negation.
+// Ignore files are read once per matcher, so build a new one for each walk.
+class IgnoreMatcher {
+    constructor(projectDir, defaultPatterns = []) {
+        this.projectDir = path.resolve(projectDir);
+        this.root = this.findRepoRoot(this.projectDir) || this.projectDir;
+        this.dirRules = new Map();
+        this.ignoredDirs = new Map();
+
+        this.baseRules = [];
+        this.addRules(this.baseRules, defaultPatterns, '');
+        this.addRules(this.baseRules, this.readLines(path.join(this.root, '.git', 'info', 'exclude')), '');
+    }
+
+    findRepoRoot(dir) {
+        let current = dir;
+        while (true) {
+            if (fs.existsSync(path.join(current, '.git'))) return current;
+            const parent = path.dirname(current);
+            if (parent === current) return null;
+            current = parent;
+        }
+    }
+
+    readLines(file) {
+        try {
+            return fs.readFileSync(file, 'utf8').split('\n');
+        } catch (error) {
+            return [];
+        }
+    }
+
+    addRules(rules, lines, base) {
+        for (const line of lines) {
+            const rule = parseIgnorePattern(line);
+            if (rule) rules.push({ ...rule, base });
+        }
+    }
+
+    // Rules declared in one directory (relative to the root), .deltaignore after .gitignore
+    getDirRules(relDir) {
+        if (!this.dirRules.has(relDir)) {
+            const dir = path.join(this.root, relDir);
+            const rules = [];
+            this.addRules(rules, this.readLines(path.join(dir, '.gitignore')), relDir);
+            this.addRules(rules, this.readLines(path.join(dir, '.deltaignore')), relDir);
+            this.dirRules.set(relDir, rules);
+        }
+        return this.dirRules.get(relDir);
+    }
+
+    // Check a single path, assuming its parent directories are not ignored
+    matches(relPath, isDirectory) {
+        const parts = relPath.split('/');
+        const rules = [...this.baseRules];
+        for (let i = 0; i < parts.length; i++) {
+            rules.push(...this.getDirRules(parts.slice(0, i).join('/')));
+        }
+
+        let ignored = false;
+        for (const rule of rules) {
+            if (rule.dirOnly && !isDirectory) continue;
+            if (rule.base && !relPath.startsWith(rule.base + '/')) continue;
+            const target = rule.base ? relPath.slice(rule.base.length + 1) : relPath;
+            if (rule.regex.test(target)) ignored = !rule.negate;
+        }
+        return ignored;
+    }
+
+    // Check any path, including whether one of its parent directories is ignored
+    isIgnored(filePath, isDirectory = null) {
+        const fullPath = path.resolve(this.projectDir, filePath);
+        const relPath = path.relative(this.root, fullPath).split(path.sep).join('/');
+        if (!relPath || relPath.startsWith('..') || path.isAbsolute(relPath)) return false;
+
+        if (isDirectory === null) {
+            try {
+                isDirectory = fs.statSync(fullPath).isDirectory();
+            } catch (error) {
+                isDirectory = false;
+            }
+        }
+
+        const parts = relPath.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            const dir = parts.slice(0, i).join('/');
+            if (!this.ignoredDirs.has(dir)) this.ignoredDirs.set(dir, this.matches(dir, true));
+            if (this.ignoredDirs.get(dir)) return true;
+        }
+        return this.matches(relPath, isDirectory);
+    }
+}
+
+// Rough token count for budgeting; about four characters per token for code and English
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+function estimateMessageTokens(message) {
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+    const calls = message.toolCalls && message.toolCalls.length > 0 ? JSON.stringify(message.toolCalls) : '';
+    return estimateTokens(content + calls) + 4 + (message.attachments || []).length * ATTACHMENT_TOKENS;
+}
+
+// Images and PDFs attached to a prompt, sent inline as base64
+const ATTACHMENT_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf'
+};
+const ATTACHMENT_MAX_BYTES = 20 * 1024 * 1024; // Inline request data limit of the Gemini API
+const ATTACHMENT_TOKENS = 1000; // Rough cost of one image or a short PDF
+
+function formatBytes(size) {
+    if (size >= 1024 * 1024) return `${(size / 1024 / 1024).toFixed(1)}MB`;
+    return size > 1024 ? `${Math.round(size / 1024)}KB` : `${size}B`;
+}
+
+function formatDuration(ms) {
+    return ms >= 60000 ? `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+const CONTEXT_MANIFESTS = ['package.json', 'requirements.txt', 'pyproject.toml', 'Cargo.toml', 'go.mod', 'pom.xml', 'build.gradle', 'Makefile', 'README.md'];
+const CONTEXT_MAX_FILE_SIZE = 256 * 1024;
+const CONTEXT_STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'add', 'make', 'use', 'using', 'please',
+    'can', 'you', 'should', 'would', 'all', 'any', 'new', 'fix', 'create', 'update', 'change', 'file', 'files',
+    'code', 'function', 'when', 'what', 'how', 'not', 'are', 'but', 'also', 'then', 'there', 'have', 'has'
+]);
+
+// Symbol definitions per language, matched line by line: [regex, kind]; the first group is the name
+const SYMBOL_PATTERNS = {
+    js: [
+        [/^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/, 'function'],
+        [/^\s*(?:export\s+)?(?:default\s+)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/, 'class'],
+        [/^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/, 'function'],
+        [/^\s*(?:export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+([A-Za-z_$][\w$]*)/, 'type'],
+        [/^\s+(?:(?:public|private|protected|static|async|get|set|override|readonly)\s+)*([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*(?::[^{]+)?\{\s*$/, 'method'],
+        [/^\s*(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/, 'export'],
+        [/^\s*export\s+(?:const|let|var)\s+([A-Za-z_$][\w$]*)/, 'export']
+    ],
+    py: [
+        [/^\s*(?:async\s+)?def\s+([A-Za-z_]\w*)/, 'function'],
+        [/^\s*class\s+([A-Za-z_]\w*)/, 'class']
+    ],
+    go: [
+        [/^func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/, 'function'],
+        [/^type\s+([A-Za-z_]\w*)/, 'type']
+    ],
+    rs: [
+        [/^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+([A-Za-z_]\w*)/, 'function'],
+        [/^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|type)\s+([A-Za-z_]\w*)/, 'type']
+    ],
+    java: [
+        [/^\s*(?:(?:public|private|protected|static|final|abstract|sealed)\s+)*(?:class|interface|enum|record)\s+([A-Za-z_]\w*)/, 'class'],
+        [/^\s*(?:(?:public|private|protected|static|final|abstract|synchronized)\s+)+[\w<>[\],\s]+\s+([A-Za-z_]\w*)\s*\(/, 'method']
+    ],
+    c: [
+        [/^\s*(?:class|struct|enum|union|namespace)\s+([A-Za-z_]\w*)/, 'type'],
+        [/^(?:[\w:*&<>]+\s+)+\**([A-Za-z_][\w:]*)\s*\([^;]*$/, 'function']
+    ],
+    rb: [
+        [/^\s*def\s+(?:self\.)?([A-Za-z_]\w*[?!]?)/, 'function'],
+        [/^\s*(?:class|module)\s+([A-Z]\w*)/, 'class']
+    ],
+    sh: [
+        [/^\s*(?:function\s+)?([A-Za-z_][\w-]*)\s*\(\)\s*\{?/, 'function']
+    ]
+};
+const SYMBOL_LANGUAGES = {
+    '.js': 'js', '.jsx': 'js', '.mjs': 'js', '.cjs': 'js', '.ts': 'js', '.tsx': 'js',
+    '.py': 'py', '.go': 'go', '.rs': 'rs', '.java': 'java', '.kt': 'java', '.cs': 'java',
+    '.c': 'c', '.h': 'c', '.cpp': 'c', '.cc': 'c', '.hpp': 'c', '.rb': 'rb', '.sh': 'sh'
+};
+const SYMBOL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'else', 'new', 'typeof', 'sizeof']);
+
+function extractSymbols(content, extension) {
+    const patterns = SYMBOL_PATTERNS[SYMBOL_LANGUAGES[extension]];
+    if (!patterns) return [];
+
+    const symbols = [];
+    const lines = content.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+        for (const [regex, kind] of patterns) {
+            const match = lines[i].match(regex);
+            if (match && !SYMBOL_KEYWORDS.has(match[1])) {
+                symbols.push({ name: match[1], kind, line: i + 1 });
+                break;
+            }
+        }
+    }
+    return symbols;
+}
+
+// Lowercased search terms; identifiers also yield their camelCase/snake_case parts
+function tokenizeForIndex(text) {
+    const terms = [];
+    for (const word of text.match(/[A-Za-z_$][\w$]*|\d+/g) || []) {
+        const lower = word.toLowerCase();
+        if (lower.length >= 2) terms.push(lower);
+        const parts = word.split(/[_$]+|(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/).filter(Boolean);
+        if (parts.length > 1) {
+            for (const part of parts) {
+                if (part.length >= 2) terms.push(part.toLowerCase());
+            }
+        }
+    }
+    return terms;
+}
+
+const INDEX_VERSION = 1;
+const INDEX_CHUNK_LINES = 60;
+
+// Offline search over a project: symbol definitions plus BM25 over chunks of each file.
+// Stored as JSON and refreshed incrementally; files are only re-read when their mtime or
+// size changes, and only re-indexed when their content hash does.
+class CodeIndex {
+    constructor(indexFile) {
+        this.indexFile = indexFile;
+        this.files = Object.create(null);
+        this.load();
+    }
+
+    // Maps keyed by file paths and tokens have no prototype, so words like "constructor" are just words
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'),
+                (key, value) => key === 'terms' || key === 'files' ? Object.assign(Object.create(null), value) : value);
+            if (data.version === INDEX_VERSION) this.files = data.files || Object.create(null);
+        } catch (error) {
+            this.files = Object.create(null);
+        }
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.indexFile), { recursive: true });
+        fs.writeFileSync(this.indexFile, JSON.stringify({ version: INDEX_VERSION, files: this.files }));
+    }
+
+    // Bring the index in line with `files` (paths relative to `root`); returns what changed
+    refresh(root, files) {
+        const stats = { added: 0, updated: 0, removed: 0 };
+        const wanted = new Set(files);
+
+        for (const file of Object.keys(this.files)) {
+            if (!wanted.has(file)) {
+                delete this.files[file];
+                stats.removed++;
+            }
+        }
+
+        for (const file of files) {
+            let stat;
+            try {
+                stat = fs.statSync(path.join(root, file));
+            } catch (error) {
+                continue;
+            }
+            const entry = this.files[file];
+            if (entry && entry.mtimeMs === stat.mtimeMs && entry.size === stat.size) continue;
+            if (stat.size > CONTEXT_MAX_FILE_SIZE) {
+                if (entry) {
+                    delete this.files[file];
+                    stats.removed++;
+                }
+                continue;
+            }
+
+            let content;
+            try {
+                content = fs.readFileSync(path.join(root, file), 'utf8');
+            } catch (error) {
+                // Unreadable, or deleted since the project was listed; skip it like the walker does
+                if (entry) {
+                    delete this.files[file];
+                    stats.removed++;
+                }
+                continue;
+            }
+            const hash = crypto.createHash('sha1').update(content).digest('hex');
+            if (entry && entry.hash === hash) {
+                entry.mtimeMs = stat.mtimeMs;
+                entry.size = stat.size;
+                continue;
+            }
+            if (content.includes('\0')) {
+                if (entry) {
+                    delete this.files[file];
+                    stats.removed++;
+                }
+                continue;
+            }
+
+            this.files[file] = { mtimeMs: stat.mtimeMs, size: stat.size, hash, ...this.indexContent(content, path.extname(file).toLowerCase()) };
+            stats[entry ? 'updated' : 'added']++;
+        }
+
+        return stats;
+    }
+
+    // Split a file into chunks that start at symbol definitions where possible
+    indexContent(content, extension) {
+        const lines = content.split('\n');
+        const symbols = extractSymbols(content, extension);
+        const starts = new Set(symbols.map(symbol => symbol.line));
+
+        const chunks = [];
+        let start = 1;
+        for (let line = 2; line <= lines.length + 1; line++) {
+            const size = line - start;
+            if (line > lines.length || size >= INDEX_CHUNK_LINES || (starts.has(line) && size >= 10)) {
+                const terms = Object.create(null);
+                let length = 0;
+                for (const term of tokenizeForIndex(lines.slice(start - 1, line - 1).join('\n'))) {
+                    terms[term] = (terms[term] || 0) + 1;
+                    length++;
+                }
+                if (length > 0) chunks.push({ start, end: line - 1, length, terms });
+                start = line;
+            }
+        }
+        return { symbols, chunks };
+    }
+
+    // BM25 over chunks, with a boost for chunks that define a symbol named in the query
+    search(query, options = {}) {
+        const { limit = 10 } = options;
+        const queryTerms = [...new Set(tokenizeForIndex(query))];
+        if (queryTerms.length === 0) return [];
+
+        const chunks = [];
+        for (const [file, entry] of Object.entries(this.files)) {
+            for (const chunk of entry.chunks) chunks.push({ file, entry, chunk });
+        }
+        if (chunks.length === 0) return [];
+
+        const averageLength = chunks.reduce((sum, { chunk }) => sum + chunk.length, 0) / chunks.length;
+        const idf = Object.create(null);
+        for (const term of queryTerms) {
+            const df = chunks.filter(({ chunk }) => chunk.terms[term]).length;
+            idf[term] = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+        }
+
+        const k1 = 1.2;
+        const b = 0.75;
+        const results = [];
+        for (const { file, entry, chunk } of chunks) {
+            let score = 0;
+            for (const term of queryTerms) {
+                const tf = chunk.terms[term] || 0;
+                if (tf > 0) score += idf[term] * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * chunk.length / averageLength));
+            }
+
+            const symbols = entry.symbols.filter(symbol => symbol.line >= chunk.start && symbol.line <= chunk.end);
+            const named = symbols.filter(symbol => queryTerms.includes(symbol.name.toLowerCase()));
+            score += 3 * named.length;
+
+            // Terms that only appear in the file's path still count a little
+            const pathTerms = tokenizeForIndex(file);
+            score += 0.5 * queryTerms.filter(term => pathTerms.includes(term)).length;
+
+            if (score > 0) {
+                results.push({ path: file, start: chunk.start, end: chunk.end, score, symbols: symbols.map(symbol => symbol.name) });
+            }
+        }
+
+        return results.sort((a, c) => c.score - a.score).slice(0, limit);
+    }
+
+    findSymbols(name) {
+        const lower = name.toLowerCase();
+        const found = [];
+        for (const [file, entry] of Object.entries(this.files)) {
+            for (const symbol of entry.symbols) {
+                if (symbol.name.toLowerCase() === lower) found.push({ path: file, ...symbol });
+            }
+        }
+        return found;
+    }
+}
+
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+// Client for one Model Context Protocol server: either a child process speaking newline-delimited
+// JSON-RPC on stdin/stdout ({ command, args, env, cwd }) or streamable HTTP ({ url, headers }),
+// where each JSON-RPC message is POSTed and answered with JSON or server-sent events.
+class McpClient {
+    constructor(name, config) {
+        this.name = name;
+        this.config = config;
+        this.transport = config.url ? 'http' : 'stdio';
+        this.status = 'disconnected';
+        this.error = null;
+        this.serverInfo = null;
+        this.capabilities = {};
+        this.tools = [];
+        this.resources = [];
+        this.prompts = [];
+        this.nextId = 1;
+        this.pending = new Map();
+        this.child = null;
+        this.sessionId = null;
+        this.stderr = '';
+        this.ready = null;
+    }
+
+    get timeout() {
+        return this.config.timeout || 60000;
+    }
+
+    async connect() {
+        this.status = 'connecting';
+        this.error = null;
+        try {
+            if (this.transport === 'stdio') this.startProcess();
+            const result = await this.request('initialize', {
+                protocolVersion: MCP_PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: { name: 'delta-cli', version: '1.0.0' }
+            });
+            this.serverInfo = result.serverInfo || null;
+            this.capabilities = result.capabilities || {};
+            await this.notify('notifications/initialized');
+            await this.refresh();
+            this.status = 'connected';
+        } catch (error) {
+            this.status = 'failed';
+            this.error = error.message;
+            this.close();
+            throw error;
+        }
+    }
+
+    async refresh() {
+        this.tools = this.capabilities.tools ? await this.listAll('tools/list', 'tools') : [];
+        this.resources = this.capabilities.resources ? await this.listAll('resources/list', 'resources') : [];
+        this.prompts = this.capabilities.prompts ? await this.listAll('prompts/list', 'prompts') : [];
+    }
+
+    // Follow nextCursor until the server has returned every item
+    async listAll(method, key) {
+        const items = [];
+        let cursor = null;
+        do {
+            const result = await this.request(method, cursor ? { cursor } : {});
+            items.push(...(result[key] || []));
+            cursor = result.nextCursor || null;
+        } while (cursor);
+        return items;
+    }
+
+    startProcess() {
+        const { command, args = [], env = {}, cwd } = this.config;
+        if (!command) throw new Error(`${this.name}: set "command" (stdio) or "url" (HTTP)`);
+
+        this.stderr = '';
+        this.child = spawn(command, args, {
+            cwd: cwd || process.cwd(),
+            env: { ...process.env, ...env },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.child.stderr.on('data', (chunk) => {
+            this.stderr = (this.stderr + chunk).slice(-2000);
+        });
+        readline.createInterface({ input: this.child.stdout }).on('line', line => this.handleMessage(line));
+
+        this.child.on('error', (error) => this.failPending(new Error(`${this.name}: ${error.message}`)));
+        // A server that exits early turns writes into EPIPE errors, which would otherwise crash the CLI
+        this.child.stdin.on('error', (error) => {
+            this.status = 'failed';
+            this.error = `${this.name}: ${error.message}`;
+            this.failPending(new Error(this.error));
+        });
+        this.child.on('exit', (code) => {
+            this.child = null;
+            if (this.status === 'connected') this.status = 'disconnected';
+            const detail = this.stderr.trim().split('\n').pop();
+            this.failPending(new Error(`${this.name} exited with code ${code}${detail ? `: ${detail}` : ''}`));
+        });
+    }
+
+    handleMessage(line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            return; // Servers sometimes log to stdout
+        }
+
+        if (message.method === undefined && this.pending.has(message.id)) {
+            const { resolve, reject } = this.pending.get(message.id);
+            this.pending.delete(message.id);
+            if (message.error) reject(new Error(`${this.name}: ${message.error.message}`));
+            else resolve(message.result || {});
+        } else if (message.method && message.id !== undefined) {
+            // Requests from the server; only ping is supported
+            this.send(message.method === 'ping'
+                ? { jsonrpc: '2.0', id: message.id, result: {} }
+                : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Unsupported method: ${message.method}` } });
+        } else if (message.method === 'notifications/tools/list_changed') {
+            this.listAll('tools/list', 'tools').then(tools => { this.tools = tools; }, () => {});
+        }
+    }
+
+    failPending(error) {
+        for (const { reject } of this.pending.values()) reject(error);
+        this.pending.clear();
+        if (this.status === 'connecting') this.error = error.message;
+    }
+
+    send(message) {
+        if (!this.child || !this.child.stdin.writable) throw new Error(`${this.name} is not running`);
+        this.child.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    request(method, params = {}) {
+        const message = { jsonrpc: '2.0', id: this.nextId++, method, params };
+        if (this.transport === 'http') return this.post(message);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(message.id);
+                reject(new Error(`${this.name}: ${method} timed out`));
+            }, this.timeout);
+            this.pending.set(message.id, {
+                resolve: (result) => { clearTimeout(timer); resolve(result); },
+                reject: (error) => { clearTimeout(timer); reject(error); }
+            });
+            try {
+                this.send(message);
+            } catch (error) {
+                this.pending.delete(message.id);
+                clearTimeout(timer);
+                reject(error);
+            }
+        });
+    }
+
+    async notify(method, params = null) {
+        const message = { jsonrpc: '2.0', method, ...(params ? { params } : {}) };
+        if (this.transport === 'http') {
+            await this.post(message);
+        } else {
+            this.send(message);
+        }
+    }
+
+    async post(message) {
+        const headers = { 'Accept': 'application/json, text/event-stream', ...(this.config.headers || {}) };
+        if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+
+        let reply = null;
+        let req = null;
+        const timer = setTimeout(() => req && req.destroy(new Error(`${this.name}: ${message.method} timed out`)), this.timeout);
+        let response;
+        try {
+            response = await streamJson(this.config.url, {
+                headers,
+                body: message,
+                onRequest: (r) => { req = r; },
+                onEvent: ({ data }) => {
+                    try {
+                        const parsed = JSON.parse(data);
+                        if (parsed.id === message.id && parsed.method === undefined) reply = parsed;
+                    } catch (error) {
+                        // Not a JSON-RPC message
+                    }
+                }
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (response.headers['mcp-session-id']) this.sessionId = response.headers['mcp-session-id'];
+        if (message.id === undefined) return null;
+
+        reply = reply || response.body;
+        if (!reply) throw new Error(`${this.name}: HTTP ${response.statusCode} with no response to ${message.method}`);
+        if (reply.error) throw new Error(`${this.name}: ${reply.error.message || reply.error}`);
+        return reply.result || {};
+    }
+
+    async callTool(name, args) {
+        const result = await this.request('tools/call', { name, arguments: args });
+        const text = formatMcpContent(result.content, result.structuredContent);
+        return result.isError ? `Error: ${text}` : text;
+    }
+
+    async readResource(uri) {
+        const result = await this.request('resources/read', { uri });
+        return (result.contents || []).map(item => item.text !== undefined ? item.text : `[binary ${item.mimeType || 'data'}: ${item.uri}]`).join('\n');
+    }
+
+    async getPrompt(name, args = {}) {
+        const result = await this.request('prompts/get', { name, arguments: args });
+        return (result.messages || []).map(message => formatMcpContent([message.content])).join('\n\n');
+    }
+
+    close() {
+        if (this.child) {
+            this.child.stdin.end();
+            this.child.kill();
+            this.child = null;
+        }
+        if (this.status === 'connected') this.status = 'disconnected';
+    }
+}
+
+// Flatten MCP content items (text, images, embedded resources) into text for the model
+function formatMcpContent(content = [], structuredContent = null) {
+    const parts = (content || []).map(item => {
+        if (!item) return '';
+        if (item.type === 'text') return item.text;
+        if (item.type === 'resource') return item.resource.text !== undefined ? item.resource.text : `[resource ${item.resource.uri}]`;
+        if (item.type === 'resource_link') return `[resource ${item.uri}]`;
+        return `[${item.type}${item.mimeType ? ` ${item.mimeType}` : ''}]`;
+    }).filter(Boolean);
+    if (parts.length === 0 && structuredContent) return JSON.stringify(structuredContent, null, 2);
+    return parts.join('\n');
+}
+
+// Minimal YAML frontmatter for custom command files: "key: value" lines, with [a, b] lists
+function parseFrontmatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { attributes: {}, body: text };
+
+    const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+    const attributes = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const entry = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!entry) continue;
+        const value = entry[2].trim();
+        attributes[entry[1]] = /^\[.*\]$/.test(value)
+            ? value.slice(1, -1).split(',').map(unquote).filter(Boolean)
+            : unquote(value);
+    }
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+const HOOK_EVENTS = ['preWrite', 'postWrite', 'preCommand', 'postCommand', 'userPromptSubmit', 'responseComplete'];
+const HOOK_TIMEOUT = 30000;
+
+// Settings in a project's .delta/config.json that can run code or loosen approval; a checkout
+// only gets them after the user trusts the project. `tests` names the command /fix-tests runs and
+// `git` the branches and refs handed to git.
+const PROJECT_TRUST_KEYS = ['hooks', 'mcpServers', 'sandbox', 'approvalMode', 'tests', 'git'];
+// Provider settings that decide where an API key is sent, held the same way
+const PROVIDER_TRUST_KEYS = ['baseUrl', 'apiKeyEnv', 'headers'];
+
+// Limits for files inlined through @mentions in a prompt
+const MENTION_MAX_FILES = 50;
+const MENTION_MAX_FILE_CHARS = 50000;
+const MENTION_MAX_CHARS = 200000;
+
+// Recent command results kept for /last-output, and how much of each output stream goes into the conversation
+const COMMAND_RESULTS_KEPT = 20;
+const COMMAND_OUTPUT_MAX_CHARS = 4000;
+
+// Per-project instructions merged into the system prompt
+const MEMORY_FILE = 'DELTA.md';
+const MEMORY_MAX_CHARS = 20000;
+
+// Code review: severities from most to least serious, and the output formats of `delta review`
+const REVIEW_SEVERITIES = ['error', 'warning', 'info'];
+const REVIEW_FORMATS = ['text', 'json', 'sarif'];
+const REVIEW_CONTEXT_LINES = 20;
+
+// Files in a git diff with the line ranges its hunks cover in the new version: [{ path, ranges: [[start, end]] }]
+function parseDiffFiles(diff) {
+    const files = [];
+    let file = null;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            file = null;
+        } else if (line.startsWith('+++ ')) {
+            // Deleted files have nothing left to review
+            file = line.startsWith('+++ /dev/null') ? null : { path: line.slice(4).replace(/^b\//, '').replace(/\t$/, ''), ranges: [] };
+            if (file) files.push(file);
+        } else if (file && line.startsWith('@@ ')) {
+            const match = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/);
+            if (match) {
+                const start = parseInt(match[1], 10);
+                const count = match[2] === undefined ? 1 : parseInt(match[2], 10);
+                file.ranges.push([start, start + Math.max(count, 1) - 1]);
+            }
+        }
+    }
+    return files;
+}
+
+// SARIF 2.1.0 log for code scanning tools; categories become rules
+function reviewToSarif(review) {
+    const levels = { error: 'error', warning: 'warning', info: 'note' };
+    const categories = [...new Set(review.findings.map(finding => finding.category))];
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'delta-cli',
+                    version: '1.0.0',
+                    rules: categories.map(category => ({ id: category, name: category, shortDescription: { text: `Delta review: ${category}` } }))
+                }
+            },
+            results: review.findings.map(finding => ({
+                ruleId: finding.category,
+                level: levels[finding.severity],
+                message: { text: finding.suggestion ? `${finding.message}\n\nSuggestion: ${finding.suggestion}` : finding.message },
+                locations: [{
+                    physicalLocation: {
+                        artifactLocation: { uri: finding.file },
+                        region: { startLine: finding.line }
+                    }
+                }]
+            }))
+        }]
+    };
+}
+
+class DeltaCLI {
+    constructor() {
+        this.provider = 'gemini'; // Default provider
+        this.model = 'gemini-2.0-flash'; // Default model
+        this.providerSettings = {};
+        this.conversationHistory = [];
+        this.currentDirectory = process.cwd();
+        this.autoExecute = true;
+        this.approvalMode = 'ask'; // auto | ask | never
+        this.approveAll = false; // "accept all" for the rest of the current request
+        this.approvedCommands = new Set();
+        this.allowedTools = null; // Set by custom commands that limit the tools offered to the model
+        this.pendingAttachments = []; // Added with /attach, sent with the next request
+        this.commandResults = []; // Recent commands with their full output, for /last-output
+        this.prices = {};
+        this.budget = {};
+        this.requestUsage = emptyUsage();
+        this.lastRequestUsage = null; // The latest request that called the model, for /cost
+        this.budgetWarnings = new Set(); // Soft limits already warned about
+        this.rl = null;
+        this.maxTokens = 4000;
+        this.temperature = 0.7;
+        this.stream = true;
+        this.useTools = true;
+        this.maxIterations = 10;
+        this.editRetries = 2;
+        this.checkpointGit = false;
+        this.gitSettings = { autoBranch: false, branchPrefix: 'delta/', baseBranch: null };
+        this.testSettings = { command: null, maxAttempts: 5, timeout: 600000 };
+        this.sandbox = {};
+        this.contextTokens = 8000;
+        this.compactThreshold = 32000;
+        this.lastContext = null;
+        this.mcpServers = {};
+        this.mcpClients = new Map();
+        this.hooks = {};
+        this.activeCheckpoint = null;
+        this.pendingWorkBranch = null; // The request a git.autoBranch branch is named after, until its first write
+        this.activeRequest = null;
+        this.pendingQuestion = null; // The approval question waiting in the REPL, so Ctrl+C can decline it
+        this.headless = null;
+        this.configDir = path.join(os.homedir(), '.delta-cli');
+        this.configFile = path.join(this.configDir, 'config.json');
+        this.projectConfigFile = path.join(this.currentDirectory, '.delta', 'config.json');
+        this.trustFile = path.join(this.configDir, 'trusted-projects.json');
+        this.untrustedSettings = null; // Project settings waiting for the trust prompt
+        this.projectTrust = null;
+        this.sessionsDir = path.join(this.configDir, 'sessions');
+        this.usageDir = path.join(this.configDir, 'usage');
+        this.session = null;
+        this.gitIgnorePatterns = ['.git', 'node_modules', '.env', '*.log', 'dist', 'build'];
+        this.globalIgnorePatterns = []; // Custom patterns from the global config, which saveConfig writes back
+        this.projectConfigKeys = new Set(); // Keys .delta/config.json sets, so saving doesn't copy them into the global config
+        this.fileExtensions = ['.js', '.ts', '.jsx', '.tsx', '.py', '.java', '.cpp', '.c', '.html', '.css', '.json', '.md', '.yml', '.yaml', '.xml', '.sh'];
+        
+        this.initializeConfig();
+    }
+
+    initializeConfig() {
+        // Create config directory if it doesn't exist
+        if (!fs.existsSync(this.configDir)) {
+            fs.mkdirSync(this.configDir, { recursive: true });
+        }
+
+        // Load existing config
+        this.loadConfig();
+        
+        // Every run starts a new session; --continue/--resume or /session switch load an old one
+        this.newSession();
+    }
+
+    loadConfig() {
+        // Global config first, then the project's .delta/config.json on top of it
+        for (const file of [this.configFile, this.projectConfigFile]) {
+            try {
+                if (fs.existsSync(file)) {
+                    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    if (file === this.projectConfigFile) {
+                        this.projectConfigKeys = new Set(Object.keys(config));
+                        this.applyConfig(this.holdUntrustedSettings(config));
+                    } else {
+                        this.globalIgnorePatterns = [].concat(config.ignorePatterns || []);
+                        this.applyConfig(config);
+                    }
+                }
+            } catch (error) {
+                console.warn(`Warning: Could not load config file ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    // Split off the project settings that need trust. They apply right away when the user already
+    // trusted this exact set, and are dropped when they declined it; otherwise they wait for
+    // ensureProjectTrust(). Returns the rest of the config.
+    holdUntrustedSettings(config) {
+        const held = {};
+        for (const key of PROJECT_TRUST_KEYS) {
+            // A project may always make approval stricter
+            if (config[key] === undefined || (key === 'approvalMode' && config[key] !== 'auto')) continue;
+            held[key] = config[key];
+        }
+        const providers = {};
+        for (const [name, settings] of Object.entries(config.providers || {})) {
+            providers[name] = { ...settings };
+            for (const key of PROVIDER_TRUST_KEYS.filter(key => settings[key] !== undefined)) {
+                held.providers = held.providers || {};
+                held.providers[name] = { ...(held.providers[name] || {}), [key]: settings[key] };
+                delete providers[name][key];
+            }
+        }
+        if (Object.keys(held).length === 0) return config;
+
+        const rest = { ...config, providers };
+        Object.keys(held).filter(key => key !== 'providers').forEach(key => delete rest[key]);
+        const decision = this.loadTrustedProjects()[this.currentDirectory];
+        if (decision && decision.hash === this.hashSettings(held)) {
+            return decision.trusted ? config : rest;
+        }
+        this.untrustedSettings = held;
+        return rest;
+    }
+
+    hashSettings(settings) {
+        return crypto.createHash('sha1').update(JSON.stringify(settings)).digest('hex');
+    }
+
+    loadTrustedProjects() {
+        try {
+            return JSON.parse(fs.readFileSync(this.trustFile, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Ask once whether to apply the held project settings and remember the answer until they change.
+    // Without a terminal to ask on they stay off for this run.
+    ensureProjectTrust() {
+        if (!this.untrustedSettings) return Promise.resolve();
+        if (!this.projectTrust) {
+            this.projectTrust = this.askProjectTrust().finally(() => {
+                this.untrustedSettings = null;
+            });
+        }
+        return this.projectTrust;
+    }
+
+    async askProjectTrust() {
+        const settings = this.untrustedSettings;
+        const keys = Object.keys(settings);
+        console.log(`\n⚠️ ${this.projectConfigFile} sets ${keys.join(', ')}, which can run commands on this machine, skip approval or send API keys to another server:`);
+        console.log(colors.dim(JSON.stringify(settings, null, 2)));
+        const choice = await this.askChoice('Trust this project and apply them? [y]es / [n]o: ', ['y', 'n'], { kind: 'trust', settings });
+        if (choice === null) {
+            console.warn(`⚠️ Ignoring ${keys.join(', ')} from ${this.projectConfigFile}; run delta interactively here to trust the project.`);
+            return;
+        }
+
+        const trusted = this.loadTrustedProjects();
+        trusted[this.currentDirectory] = { trusted: choice === 'y', hash: this.hashSettings(settings) };
+        try {
+            fs.writeFileSync(this.trustFile, JSON.stringify(trusted, null, 2));
+        } catch (error) {
+            console.warn(`Warning: Could not save ${this.trustFile}: ${error.message}`);
+        }
+        if (choice === 'y') {
+            this.applyConfig(settings);
+        } else {
+            console.log(`Ignoring ${keys.join(', ')} from the project config.`);
+        }
+    }
+
+    applyConfig(config) {
+        for (const [name, settings] of Object.entries(config.providers || {})) {
+            this.providerSettings[name] = { ...(this.providerSettings[name] || {}), ...settings };
+        }
+
+        if (config.provider && !this.getProviderNames().includes(config.provider)) {
+            // Skip just the provider (and its model) so the rest of the file still applies
+            console.warn(`Warning: Unknown provider "${config.provider}" in config (available: ${this.getProviderNames().join(', ')})`);
+            config = { ...config, provider: undefined, model: undefined };
+        }
+        if (config.provider && config.provider !== this.provider && !config.model) {
+            // Switching provider without naming a model falls back to that provider's default
+            this.setProvider(config.provider);
+        }
+        this.provider = config.provider || this.provider;
+        this.model = config.model || this.model;
+        this.maxTokens = config.maxTokens || this.maxTokens;
+        this.temperature = config.temperature || this.temperature;
+        this.autoExecute = config.autoExecute !== undefined ? config.autoExecute : this.autoExecute;
+        this.approvalMode = APPROVAL_MODES.includes(config.approvalMode) ? config.approvalMode : this.approvalMode;
+        this.stream = config.stream !== undefined ? config.stream : this.stream;
+        this.useTools = config.useTools !== undefined ? config.useTools : this.useTools;
+        this.maxIterations = config.maxIterations || this.maxIterations;
+        this.editRetries = config.editRetries !== undefined ? config.editRetries : this.editRetries;
+        this.contextTokens = config.contextTokens || this.contextTokens;
+        this.compactThreshold = config.compactThreshold || this.compactThreshold;
+        this.sandbox = { ...this.sandbox, ...(config.sandbox || {}) };
+        for (const [event, hooks] of Object.entries(config.hooks || {})) {
+            if (!HOOK_EVENTS.includes(event)) {
+                console.warn(`Warning: Unknown hook event "${event}" (use ${HOOK_EVENTS.join(', ')})`);
+                continue;
+            }
+            this.hooks[event] = [...(this.hooks[event] || []), ...[].concat(hooks)];
+        }
+        for (const [name, server] of Object.entries(config.mcpServers || {})) {
+            this.mcpServers[name] = { ...(this.mcpServers[name] || {}), ...server };
+        }
+        this.checkpointGit = config.checkpoints && config.checkpoints.git !== undefined ? config.checkpoints.git : this.checkpointGit;
+        this.gitSettings = { ...this.gitSettings, ...(config.git || {}) };
+        this.testSettings = { ...this.testSettings, ...(config.tests || {}) };
+        this.prices = { ...this.prices, ...(config.prices || {}) };
+        for (const [scope, limits] of Object.entries(config.budget || {})) {
+            if (!BUDGET_SCOPES.includes(scope)) {
+                console.warn(`Warning: Unknown budget "${scope}" (use ${BUDGET_SCOPES.join(', ')})`);
+                continue;
+            }
+            this.budget[scope] = { ...(this.budget[scope] || {}), ...limits };
+        }
+        this.gitIgnorePatterns = [...this.gitIgnorePatterns, ...(config.ignorePatterns || [])];
+    }
+
+    saveConfig(keys = null) {
+        // Keep keys we don't manage here (e.g. provider endpoints) intact
+        let existing = {};
+        try {
+            if (fs.existsSync(this.configFile)) {
+                existing = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+            }
+        } catch (error) {
+            existing = {};
+        }
+
+        const values = {
+            provider: this.provider,
+            model: this.model,
+            maxTokens: this.maxTokens,
+            temperature: this.temperature,
+            autoExecute: this.autoExecute,
+            approvalMode: this.approvalMode,
+            ignorePatterns: this.globalIgnorePatterns
+        };
+
+        // When only some keys changed, write just those; otherwise skip the ones the project config set,
+        // so project overrides don't leak into the global file
+        const config = { ...existing };
+        for (const key of keys || Object.keys(values).filter(key => !this.projectConfigKeys.has(key))) {
+            config[key] = values[key];
+        }
+
+        try {
+            fs.writeFileSync(this.configFile, JSON.stringify(config, null, 2));
+        } catch (error) {
+            console.warn('Warning: Could not save config file');
+        }
+    }
+
+    getProviderClass(name) {
+        const settings = this.providerSettings[name] || {};
+        // Custom entries like "ollama": { "type": "openai", ... } reuse a built-in adapter
+        const ProviderClass = PROVIDERS[settings.type || name];
+        if (!ProviderClass) {
+            throw new Error(`Unknown provider: ${name} (available: ${this.getProviderNames().join(', ')})`);
+        }
+        return ProviderClass;
+    }
+
+    getProviderNames() {
+        return [...new Set([...Object.keys(PROVIDERS), ...Object.keys(this.providerSettings)])];
+    }
+
+    getProvider() {
+        const ProviderClass = this.getProviderClass(this.provider);
+        return new ProviderClass(this.providerSettings[this.provider] || {});
+    }
+
+    setProvider(name, model = null) {
+        const ProviderClass = this.getProviderClass(name);
+        this.provider = name;
+        this.model = model || this.providerSettings[name]?.model || ProviderClass.defaultModel;
+    }
+
+    // Sessions are append-only JSONL files under sessions/<project-hash>/. Each line is an event:
+    // meta (name, model, times), message, history (replaces the history, e.g. after /clear) or
+    // usage. A crash can at worst cut off the last line, which readSession skips.
+    getSessionDir() {
+        return path.join(this.sessionsDir, this.getProjectHash());
+    }
+
+    // Start a fresh session; its file is only written once there is something to save
+    newSession(name = null) {
+        const now = Date.now();
+        const id = `${new Date(now).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}-${crypto.randomBytes(2).toString('hex')}`;
+        this.session = {
+            id,
+            name,
+            file: path.join(this.getSessionDir(), `${id}.jsonl`),
+            cwd: this.currentDirectory,
+            created: now,
+            updated: now,
+            usage: emptyUsage(),
+            savedCount: 0
+        };
+        this.conversationHistory = [];
+        return this.session;
+    }
+
+    appendSessionEvents(events) {
+        const session = this.session;
+        if (!session) return;
+
+        session.updated = Date.now();
+        const lines = [];
+        if (!fs.existsSync(session.file)) {
+            fs.mkdirSync(path.dirname(session.file), { recursive: true });
+            lines.push({ type: 'meta', id: session.id, name: session.name, cwd: session.cwd, created: session.created });
+        }
+        lines.push(...events.map(event => ({ ...event, time: session.updated })));
+        fs.appendFileSync(session.file, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+    }
+
+    readSession(file) {
+        const session = { file, history: [], usage: emptyUsage(), messageCount: 0 };
+        let lines;
+        try {
+            lines = fs.readFileSync(file, 'utf8').split('\n');
+        } catch (error) {
+            return null;
+        }
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (error) {
+                continue; // Partial line from an interrupted write
+            }
+
+            if (event.type === 'meta') {
+                const { type, time, ...meta } = event;
+                Object.assign(session, meta);
+            } else if (event.type === 'message') {
+                session.history.push(event.message);
+            } else if (event.type === 'history') {
+                session.history = event.messages;
+            } else if (event.type === 'usage') {
+                addUsage(session.usage, event);
+            }
+            if (event.model) session.model = event.model;
+            if (event.time) session.updated = event.time;
+        }
+
+        if (!session.id) return null;
+        session.created = session.created || session.updated;
+        session.messageCount = session.history.length;
+        return session;
+    }
+
+    // Sessions for the current project, most recently used first
+    listSessions() {
+        const dir = this.getSessionDir();
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.jsonl'))
+            .map(file => this.readSession(path.join(dir, file)))
+            .filter(Boolean)
+            .sort((a, b) => b.updated - a.updated);
+    }
+
+    findSession(ref) {
+        const sessions = this.listSessions();
+        return sessions.find(session => session.id === ref || session.name === ref) ||
+            sessions.find(session => session.id.startsWith(ref)) ||
+            null;
+    }
+
+    // Resume a session by id, id prefix or name; with no ref, the most recent one
+    loadSession(ref = null) {
+        const found = ref ? this.findSession(ref) : this.listSessions()[0];
+        if (!found) return null;
+
+        const { history, messageCount, ...meta } = found;
+        this.session = { ...meta, savedCount: history.length };
+        this.conversationHistory = history;
+        return this.session;
+    }
+
+    // Pass rewrite when earlier messages changed (compaction, pins) rather than new ones being added
+    saveSession(options = {}) {
+        if (!this.session) this.newSession();
+
+        // History that shrank or was replaced is written whole; otherwise only new messages are appended
+        const history = this.conversationHistory;
+        const events = options.rewrite || history.length < this.session.savedCount
+            ? [{ type: 'history', messages: history, model: this.model }]
+            : history.slice(this.session.savedCount).map(message => ({ type: 'message', message, model: this.model }));
+        if (events.length === 0) return;
+
+        // Usage from before the file existed goes in with the first messages
+        const { inputTokens, outputTokens, cachedTokens, cost, unpriced } = this.session.usage;
+        if (!fs.existsSync(this.session.file) && (inputTokens || outputTokens)) {
+            events.push({ type: 'usage', inputTokens, outputTokens, cachedTokens, cost: unpriced && !cost ? null : cost });
+        }
+
+        try {
+            this.appendSessionEvents(events);
+            this.session.savedCount = history.length;
+        } catch (error) {
+            console.warn(`Warning: Could not save session: ${error.message}`);
+        }
+    }
+
+    // Add one API call's usage to the current request, the session and today's log
+    recordUsage(usage) {
+        if (!this.session) this.newSession();
+        const entry = {
+            inputTokens: usage.inputTokens,
+            outputTokens: usage.outputTokens,
+            cachedTokens: usage.cachedTokens || 0,
+            cost: this.computeCost(usage),
+            ...(usage.estimated ? { estimated: true } : {})
+        };
+        addUsage(this.requestUsage, entry);
+        addUsage(this.session.usage, entry);
+        this.lastRequestUsage = this.requestUsage;
+
+        try {
+            fs.mkdirSync(this.usageDir, { recursive: true });
+            const line = { time: new Date().toISOString(), provider: this.provider, model: this.model, session: this.session.id, cwd: this.currentDirectory, ...entry };
+            fs.appendFileSync(this.getUsageFile(), JSON.stringify(line) + '\n');
+        } catch (error) {
+            // Usage is informational; don't interrupt the request over it
+        }
+
+        // Usage is persisted with the session's first message, so empty sessions don't leave files behind
+        if (this.session.savedCount === 0) return;
+        try {
+            this.appendSessionEvents([{ type: 'usage', ...entry }]);
+        } catch (error) {
+            // As above
+        }
+    }
+
+    // Price per million tokens: config.json's prices first, then the built-in table
+    getModelPrice(model = this.model) {
+        const prices = { ...MODEL_PRICES, ...this.prices };
+        if (prices[model]) return prices[model];
+        const match = Object.keys(prices).filter(name => model.startsWith(name)).sort((a, b) => b.length - a.length)[0];
+        return match ? prices[match] : null;
+    }
+
+    // Estimated USD cost of some usage, or null when the model has no price
+    computeCost(usage, model = this.model) {
+        const price = this.getModelPrice(model);
+        if (!price) return null;
+        const cached = usage.cachedTokens || 0;
+        const cachedPrice = price.cached !== undefined ? price.cached : price.input;
+        return ((usage.inputTokens - cached) * price.input + cached * cachedPrice + usage.outputTokens * price.output) / 1e6;
+    }
+
+    // One JSONL file per local day under usage/, with a line per API call
+    getUsageFile(date = new Date()) {
+        const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+        return path.join(this.usageDir, `${day}.jsonl`);
+    }
+
+    // Totals for one day across all sessions and projects: { total, calls, models: { name: usage } }
+    getDailyUsage(date = new Date()) {
+        const daily = { total: emptyUsage(), calls: 0, models: {} };
+        let lines = [];
+        try {
+            lines = fs.readFileSync(this.getUsageFile(date), 'utf8').split('\n');
+        } catch (error) {
+            return daily;
+        }
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                addUsage(daily.total, entry);
+                addUsage(daily.models[entry.model] || (daily.models[entry.model] = { ...emptyUsage(), calls: 0 }), entry).calls++;
+                daily.calls++;
+            } catch (error) {
+                continue; // Partial line from an interrupted write
+            }
+        }
+        return daily;
+    }
+
+    // Each request (or slash command) starts its own count for the request budget
+    beginRequestUsage() {
+        this.requestUsage = emptyUsage();
+        this.budgetWarnings.delete('request');
+        return this.requestUsage;
+    }
+
+    // Before each API call: stop when it could push spending past a hard limit, warn once past a soft one.
+    // The estimate assumes the reply uses all of maxTokens, so it errs on the side of stopping early.
+    checkBudget(inputTokens) {
+        const scopes = BUDGET_SCOPES.filter(scope => this.budget[scope] && (this.budget[scope].soft || this.budget[scope].hard));
+        if (scopes.length === 0) return;
+
+        const estimate = this.computeCost({ inputTokens, outputTokens: this.maxTokens, cachedTokens: 0 });
+        if (estimate === null) {
+            if (!this.budgetWarnings.has(`price:${this.model}`)) {
+                this.budgetWarnings.add(`price:${this.model}`);
+                console.warn(`⚠️ No price known for ${this.model}, so budgets can't be checked. Add it under "prices" in config.json.`);
+            }
+            return;
+        }
+
+        const spent = {
+            request: this.requestUsage.cost,
+            session: this.session ? this.session.usage.cost : 0,
+            daily: this.getDailyUsage().total.cost
+        };
+        const labels = { request: 'Request', session: 'Session', daily: 'Daily' };
+        const warningKeys = {
+            request: 'request',
+            session: `session:${this.session ? this.session.id : ''}`,
+            daily: `daily:${path.basename(this.getUsageFile(), '.jsonl')}`
+        };
+        for (const scope of scopes) {
+            const { soft, hard } = this.budget[scope];
+            const projected = spent[scope] + estimate;
+            if (hard && projected > hard) {
+                throw new Error(`${labels[scope]} budget of ${formatCost(hard)} would be exceeded: ${formatCost(spent[scope])} spent, and the next call could cost up to ${formatCost(estimate)}. Raise budget.${scope}.hard in config.json to continue.`);
+            }
+            if (soft && projected > soft && !this.budgetWarnings.has(warningKeys[scope])) {
+                this.budgetWarnings.add(warningKeys[scope]);
+                console.warn(`⚠️ ${labels[scope]} spending is near or over its soft budget of ${formatCost(soft)} (${formatCost(spent[scope])} so far).`);
+            }
+        }
+    }
+
+    describeBudget(scope) {
+        const limits = this.budget[scope];
+        if (!limits || !(limits.soft || limits.hard)) return '';
+        return colors.dim(` (budget: ${[limits.soft ? `soft ${formatCost(limits.soft)}` : '', limits.hard ? `hard ${formatCost(limits.hard)}` : ''].filter(Boolean).join(', ')})`);
+    }
+
+    // Shown after each request
+    reportRequestUsage(usage) {
+        if (usage.inputTokens === 0 && usage.outputTokens === 0) return;
+        const today = this.getDailyUsage().total;
+        console.log(colors.dim(`📊 ${formatUsage(usage)} | session ${formatCost(this.session.usage.cost)} | today ${formatCost(today.cost)}`));
+    }
+
+    showCost(args) {
+        const days = parseInt(args, 10);
+        if (days > 0) {
+            console.log(`\n💰 Usage for the last ${days} day${days === 1 ? '' : 's'}:\n`);
+            for (let i = days - 1; i >= 0; i--) {
+                const date = new Date();
+                date.setDate(date.getDate() - i);
+                const daily = this.getDailyUsage(date);
+                const day = path.basename(this.getUsageFile(date), '.jsonl');
+                console.log(`  ${day}  ${daily.calls > 0 ? `${String(daily.calls).padStart(4)} calls  ${formatUsage(daily.total)}` : colors.dim('   - no calls')}`);
+            }
+            console.log('');
+            return;
+        }
+
+        const daily = this.getDailyUsage();
+        console.log(`\n💰 Usage and estimated cost:`);
+        console.log(`  Last request:  ${this.lastRequestUsage ? formatUsage(this.lastRequestUsage) : 'none yet'}${this.describeBudget('request')}`);
+        console.log(`  This session:  ${formatUsage(this.session.usage)}${this.describeBudget('session')}`);
+        console.log(`  Today:         ${formatUsage(daily.total)}${this.describeBudget('daily')}`);
+
+        const models = Object.entries(daily.models);
+        if (models.length > 0) {
+            console.log('\n  Today by model:');
+            for (const [model, usage] of models) {
+                console.log(`    ${model.padEnd(28)} ${String(usage.calls).padStart(4)} calls  ${formatUsage(usage)}`);
+            }
+        }
+
+        const price = this.getModelPrice();
+        console.log(price
+            ? colors.dim(`\n  ${this.model}: $${price.input} in, $${price.output} out${price.cached !== undefined ? `, $${price.cached} cached` : ''} per million tokens`)
+            : colors.dim(`\n  No price known for ${this.model}; add it under "prices" in config.json.`));
+        console.log(colors.dim('  /cost <days> shows daily totals.\n'));
+    }
+
+    renameSession(name) {
+        if (!this.session) this.newSession();
+        this.session.name = name;
+        if (fs.existsSync(this.session.file)) {
+            this.appendSessionEvents([{ type: 'meta', name }]);
+        }
+    }
+
+    deleteSession(ref) {
+        const found = this.findSession(ref);
+        if (!found) return null;
+        fs.unlinkSync(found.file);
+        if (this.session && this.session.id === found.id) {
+            this.newSession();
+        }
+        return found;
+    }
+
+    // A session's name, or the start of its first prompt
+    describeSession(session) {
+        if (session.name) return session.name;
+        const firstPrompt = (session.history || []).find(msg => msg.role === 'user' && typeof msg.content === 'string');
+        return firstPrompt ? firstPrompt.content.replace(/\s+/g, ' ').slice(0, 50) : '(empty)';
+    }
+
+    showSessions() {
+        const sessions = this.listSessions();
+        if (sessions.length === 0) {
+            console.log('No saved sessions for this project yet.');
+            return;
+        }
+
+        console.log(`\n💬 Sessions for ${this.currentDirectory}:\n`);
+        for (const session of sessions) {
+            const current = this.session && this.session.id === session.id ? '*' : ' ';
+            const when = new Date(session.updated).toLocaleString();
+            const tokens = session.usage.inputTokens + session.usage.outputTokens;
+            const cost = session.usage.cost > 0 ? `  ${formatCost(session.usage.cost)}` : '';
+            console.log(`${current} ${session.id}  ${this.describeSession(session)}`);
+            console.log(colors.dim(`      ${when}  ${session.messageCount} messages  ${tokens.toLocaleString()} tokens${cost}${session.model ? `  ${session.model}` : ''}`));
+        }
+        console.log('');
+    }
+
+    handleSessionCommand(args) {
+        const [action, ...rest] = args.split(/\s+/).filter(Boolean);
+        const ref = rest.join(' ');
+
+        if (!action) {
+            const session = this.session;
+            console.log(session && session.savedCount > 0
+                ? `💬 Session ${session.id}${session.name ? ` (${session.name})` : ''}, ${this.conversationHistory.length} messages`
+                : '💬 New session (nothing saved yet)');
+            return;
+        }
+
+        if (action === 'new') {
+            this.newSession(ref || null);
+            console.log(`💬 Started a new session${ref ? `: ${ref}` : ''}`);
+        } else if (action === 'switch' || action === 'resume') {
+            if (!ref) {
+                console.log('Usage: /session switch <id|name>');
+            } else if (this.loadSession(ref)) {
+                console.log(`💬 Switched to ${this.session.id}${this.session.name ? ` (${this.session.name})` : ''}, ${this.conversationHistory.length} messages`);
+            } else {
+                console.log(`❌ No session matching "${ref}"`);
+            }
+        } else if (action === 'rename') {
+            if (!ref) {
+                console.log('Usage: /session rename <name>');
+            } else {
+                this.renameSession(ref);
+                console.log(`💬 Session renamed to ${ref}`);
+            }
+        } else if (action === 'delete') {
+            const deleted = ref ? this.deleteSession(ref) : null;
+            console.log(deleted ? `🗑️ Deleted session ${deleted.id}` : (ref ? `❌ No session matching "${ref}"` : 'Usage: /session delete <id|name>'));
+        } else {
+            console.log('Usage: /session [new <name> | switch <id|name> | rename <name> | delete <id|name>]');
+        }
+    }
+
+    conversationTokens(history = this.conversationHistory) {
+        return history.reduce((sum, message) => sum + estimateMessageTokens(message), 0);
+    }
+
+    // Files the model wrote or edited in these messages, through tools or edit blocks
+    getTouchedFiles(messages) {
+        const files = new Set();
+        for (const message of messages) {
+            for (const call of message.toolCalls || []) {
+                if (['write_file', 'edit_file'].includes(call.name) && call.args && call.args.path) files.add(call.args.path);
+            }
+            if (message.role === 'assistant' && typeof message.content === 'string') {
+                parseEditBlocks(message.content).forEach(edit => edit.filename && files.add(edit.filename));
+                this.extractFiles(message.content).forEach(file => files.add(file.filename));
+            }
+        }
+        return [...files];
+    }
+
+    // Render messages as plain text for the summarizer
+    formatTranscript(messages) {
+        return messages.map(message => {
+            if (message.role === 'tool') {
+                return `[${message.name} result]\n${this.truncateOutput(message.content, 800)}`;
+            }
+            const calls = (message.toolCalls || []).map(call => `[calls ${call.name} ${this.truncateOutput(JSON.stringify(call.args), 300)}]`);
+            const attachments = (message.attachments || []).map(attachment => `[attached ${attachment.name}]`);
+            return [`${message.role.toUpperCase()}: ${this.truncateOutput(message.content || '', 4000)}`, ...attachments, ...calls].join('\n');
+        }).join('\n\n');
+    }
+
+    // Replace older turns with a model-written summary once the conversation passes
+    // compactThreshold tokens (or always, with force). Recent turns worth up to a quarter of the
+    // threshold, pinned messages and the current content of files edited earlier are kept.
+    // Returns { before, after, summarized } or null when there was nothing to compact.
+    async compactHistory(options = {}) {
+        const { force = false } = options;
+        const history = this.conversationHistory;
+        const before = this.conversationTokens(history);
+        if (!force && before < this.compactThreshold) return null;
+
+        // Keep the newest turns, cutting only at a user prompt so tool results keep their calls
+        const keepTokens = Math.floor(this.compactThreshold / 4);
+        let cut = history.length;
+        let kept = 0;
+        for (let i = history.length - 1; i >= 0; i--) {
+            kept += estimateMessageTokens(history[i]);
+            if (kept > keepTokens) break;
+            if (history[i].role === 'user') cut = i;
+        }
+        if (cut === history.length) {
+            // Even the last turn is over the budget; keep just that one
+            cut = history.map(message => message.role).lastIndexOf('user');
+        }
+
+        const older = history.slice(0, Math.max(cut, 0));
+        if (older.filter(message => !message.pinned).length < 2) return null;
+
+        const summary = await this.makeApiRequest([{
+            role: 'user',
+            content: `Summarize this conversation between a user and a coding assistant so the assistant can continue the work without it. Keep decisions made, requirements and constraints the user stated, files created or changed and why, commands run and their outcomes, and anything still unfinished. Be concise; use bullet points.\n\n${this.formatTranscript(older)}`
+        }], 'You write concise, factual summaries of coding sessions.');
+
+        let fileStates = '';
+        let fileBudget = Math.floor(keepTokens / 2);
+        for (const file of this.getTouchedFiles(older)) {
+            let content;
+            try {
+                content = this.readFile(this.resolveProjectPath(file), { showOutput: false });
+            } catch (error) {
+                content = null;
+            }
+            if (content === null) {
+                fileStates += `\n- ${file} (no longer exists)`;
+            } else if (estimateTokens(content) <= fileBudget) {
+                fileStates += `\n\nCurrent ${file}:\n\`\`\`\n${content.replace(/\n$/, '')}\n\`\`\``;
+                fileBudget -= estimateTokens(content);
+            } else {
+                fileStates += `\n- ${file} (too large to include; read it again if needed)`;
+            }
+        }
+
+        const compacted = [
+            { role: 'user', content: `Summary of the earlier conversation:\n${summary}${fileStates ? `\n\nFiles changed earlier:${fileStates}` : ''}`, summary: true },
+            { role: 'assistant', content: 'Understood. I will continue from this summary.' }
+        ];
+        for (const message of older.filter(message => message.pinned && message.role === 'user')) {
+            compacted.push(message, { role: 'assistant', content: 'Noted.' });
+        }
+
+        this.conversationHistory = [...compacted, ...history.slice(cut)];
+        this.saveSession({ rewrite: true });
+        return { before, after: this.conversationTokens(), summarized: older.length };
+    }
+
+    async handleCompactCommand() {
+        const before = this.conversationTokens();
+        if (this.conversationHistory.length < 4) {
+            console.log('Nothing to compact yet.');
+            return;
+        }
+
+        console.log(`🗜️ Compacting ${this.conversationHistory.length} messages (~${before} tokens)...`);
+        const result = await this.compactHistory({ force: true });
+        if (!result) {
+            console.log('Nothing to compact: the conversation is only recent or pinned messages.');
+            return;
+        }
+        console.log(`✅ Summarized ${result.summarized} messages: ~${result.before} → ~${result.after} tokens (saved ~${result.before - result.after})`);
+    }
+
+    // Pin the latest request so compaction keeps it word for word
+    pinLastRequest() {
+        const message = [...this.conversationHistory].reverse().find(msg => msg.role === 'user' && !msg.summary);
+        if (!message) {
+            console.log('No request to pin yet.');
+            return;
+        }
+        message.pinned = true;
+        this.saveSession({ rewrite: true });
+        console.log(`📌 Pinned: ${message.content.replace(/\s+/g, ' ').slice(0, 60)}`);
+    }
+
+    async makeApiRequest(messages, systemPrompt = null, options = {}) {
+        const result = await this.requestCompletion(messages, systemPrompt, options);
+        return result.text;
+    }
+
+    // Full completion including any tool calls: { text, toolCalls }
+    async requestCompletion(messages, systemPrompt = null, options = {}) {
+        const { onToken = null, tools = [] } = options;
+        // A trusted project's provider endpoints have to be in place before the first request
+        await this.ensureProjectTrust();
+        const provider = this.getProvider();
+        if (provider.requiresApiKey && !provider.apiKey) {
+            throw new Error(`No API key for ${this.provider}. Set ${provider.constructor.apiKeyEnv} or providers.${this.provider}.apiKey in config.json`);
+        }
+
+        const inputTokens = estimateTokens((systemPrompt || '') + JSON.stringify(messages) + (tools.length > 0 ? JSON.stringify(tools) : ''));
+        this.checkBudget(inputTokens);
+
+        const stream = Boolean(onToken) && this.stream;
+        const request = provider.buildRequest({
+            model: this.model,
+            messages: this.loadAttachments(tools.length > 0 ? messages : this.flattenToolMessages(messages)),
+            systemPrompt: systemPrompt,
+            temperature: this.temperature,
+            maxTokens: this.maxTokens,
+            tools: tools,
+            stream: stream
+        });
+
+        // Remember the in-flight request so Ctrl+C can cancel it
+        const onRequest = (req) => {
+            this.activeRequest = req;
+        };
+
+        let parsed;
+        let usage;
+        try {
+            if (stream) {
+                const state = provider.createStreamState();
+                const { statusCode, body: result } = await streamJson(request.url, {
+                    headers: request.headers,
+                    body: request.body,
+                    onRequest: onRequest,
+                    onEvent: (event) => {
+                        const token = provider.parseStreamEvent(event, state);
+                        if (token) onToken(token);
+                    }
+                });
+
+                // A plain JSON reply instead of an event stream is usually an error
+                parsed = result || statusCode >= 400
+                    ? this.parseApiResult(provider, statusCode, result || {})
+                    : provider.finishStream(state);
+                usage = result ? provider.parseUsage(result) : parsed.usage;
+            } else {
+                const { statusCode, body: result } = await requestJson(request.url, {
+                    headers: request.headers,
+                    body: request.body,
+                    onRequest: onRequest
+                });
+
+                parsed = this.parseApiResult(provider, statusCode, result);
+                usage = provider.parseUsage(result);
+                if (onToken && parsed.text) onToken(parsed.text);
+            }
+        } finally {
+            this.activeRequest = null;
+        }
+
+        // Local servers don't always report usage; fall back to an estimate
+        this.recordUsage(usage || {
+            inputTokens,
+            outputTokens: estimateTokens(parsed.text + (parsed.toolCalls.length > 0 ? JSON.stringify(parsed.toolCalls) : '')),
+            estimated: true
+        });
+        return parsed;
+    }
+
+    // Requests without tools can't carry tool calls (Anthropic rejects them), so they become plain text.
+    // Neighbouring messages that end up with the same role are merged to keep the turns alternating.
+    flattenToolMessages(messages) {
+        if (!messages.some(message => message.role === 'tool')) return messages;
+
+        const flattened = [];
+        for (const message of messages) {
+            let text = message;
+            if (message.role === 'tool') {
+                text = { role: 'user', content: `[${message.name} result]\n${message.content}` };
+            } else if (message.toolCalls && message.toolCalls.length > 0) {
+                const calls = message.toolCalls.map(call => `[calls ${call.name} ${JSON.stringify(call.args)}]`);
+                const { toolCalls, ...rest } = message;
+                text = { ...rest, content: [message.content, ...calls].filter(Boolean).join('\n') };
+            }
+
+            const previous = flattened[flattened.length - 1];
+            if (previous && previous.role === text.role && !previous.attachments && !text.attachments) {
+                flattened[flattened.length - 1] = { ...previous, content: [previous.content, text.content].filter(Boolean).join('\n\n') };
+            } else {
+                flattened.push(text);
+            }
+        }
+        return flattened;
+    }
+
+    parseApiResult(provider, statusCode, result) {
+        const errorMessage = provider.getErrorMessage(result);
+        if (errorMessage) {
+            throw new Error(`API Error: ${errorMessage}`);
+        }
+
+        const parsed = provider.parseResponse(result);
+        if (!parsed) {
+            throw new Error(statusCode >= 400 ? `API Error: HTTP ${statusCode}` : 'No response generated');
+        }
+
+        return parsed;
+    }
+
+    // Ctrl+C at an approval question answers it with "no" (or "skip") instead of leaving the REPL
+    cancelPendingQuestion() {
+        const pending = this.pendingQuestion;
+        if (!pending) return false;
+        this.pendingQuestion = null;
+        pending.controller.abort();
+        process.stdout.write('\n');
+        pending.resolve((pending.details.choices || []).find(choice => choice === 'n' || choice === 's') || null);
+        return true;
+    }
+
+    cancelActiveRequest() {
+        if (!this.activeRequest) return false;
+        this.activeRequest.destroy(cancelledError());
+        this.activeRequest = null;
+        return true;
+    }
+
+    // Run the hooks configured for an event in order. Each gets the event as JSON and can veto it
+    // ({ "block": true, "reason": "..." }) or replace fields such as content, command or prompt;
+    // later hooks see earlier changes. Returns the final fields plus { blocked, reason }.
+    async runHooks(event, payload) {
+        await this.ensureProjectTrust();
+        const data = { ...payload };
+        for (const hook of this.hooks[event] || []) {
+            if (!this.hookMatches(hook, event, data)) continue;
+
+            let result;
+            try {
+                result = hook.module
+                    ? await this.runModuleHook(hook, event, data)
+                    : await this.runCommandHook(hook, event, data);
+            } catch (error) {
+                console.warn(`⚠️ ${event} hook failed: ${error.message}`);
+                continue;
+            }
+            if (!result) continue;
+
+            if (result.block) {
+                return { ...data, blocked: true, reason: result.reason || `${event} hook` };
+            }
+            for (const key of Object.keys(data)) {
+                if (result[key] !== undefined) data[key] = result[key];
+            }
+        }
+        return { ...data, blocked: false };
+    }
+
+    // "match" is a gitignore-style glob for file events and leading words ("git push") for commands.
+    // Any command in the line can match, so `cd app && git push` counts as git push too.
+    hookMatches(hook, event, data) {
+        if (!hook.match) return true;
+        if (data.path !== undefined) {
+            const rule = parseIgnorePattern(hook.match);
+            const relative = path.relative(this.currentDirectory, path.resolve(this.currentDirectory, data.path)).split(path.sep).join('/');
+            return Boolean(rule && rule.regex.test(relative));
+        }
+        if (data.command !== undefined) {
+            const rule = hook.match.trim().split(/\s+/);
+            const commands = listCommandWords(data.command);
+            // A line that can't be parsed might contain anything
+            if (!commands) return true;
+            return commands.some(words => path.basename(words[0]) !== 'cd' &&
+                rule.every((word, i) => word === '*' || word === (i === 0 ? path.basename(words[0]) : words[i])));
+        }
+        return true;
+    }
+
+    // Shell hooks read the event from stdin. Exit code 2 blocks with stderr as the reason;
+    // a JSON object on stdout is the result; other failures only warn.
+    runCommandHook(hook, event, data) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(hook.command, [], {
+                shell: true,
+                cwd: this.currentDirectory,
+                env: {
+                    ...process.env,
+                    DELTA_HOOK_EVENT: event,
+                    DELTA_PROJECT_DIR: this.currentDirectory,
+                    ...(data.path !== undefined ? { DELTA_FILE: data.path } : {}),
+                    ...(data.command !== undefined ? { DELTA_COMMAND: data.command } : {})
+                }
+            });
+
+            let stdout = '';
+            let stderr = '';
+            const timer = setTimeout(() => child.kill(), hook.timeout || HOOK_TIMEOUT);
+            child.stdout.on('data', chunk => { stdout += chunk; });
+            child.stderr.on('data', chunk => { stderr += chunk; });
+            child.stdin.on('error', () => {}); // The hook may exit without reading its input
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            child.on('close', (code, signal) => {
+                clearTimeout(timer);
+                if (code === 2) {
+                    resolve({ block: true, reason: stderr.trim() || `${event} hook` });
+                } else if (code !== 0) {
+                    reject(new Error(`\`${hook.command}\` ${signal ? `was stopped (${signal})` : `exited with code ${code}`}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+                } else if (stdout.trim().startsWith('{')) {
+                    try {
+                        resolve(JSON.parse(stdout));
+                    } catch (error) {
+                        reject(new Error(`\`${hook.command}\` printed invalid JSON: ${error.message}`));
+                    }
+                } else {
+                    resolve(null);
+                }
+            });
+            child.stdin.end(JSON.stringify({ event, cwd: this.currentDirectory, ...data }));
+        });
+    }
+
+    // Module hooks export a function (event) => result, or one function per event name. The module
+    // is loaded fresh each time, so edits apply without a restart, and gets the same timeout as shell hooks.
+    async runModuleHook(hook, event, data) {
+        const modulePath = require.resolve(path.resolve(this.currentDirectory, hook.module));
+        delete require.cache[modulePath];
+        const exported = require(modulePath);
+        const handler = typeof exported === 'function' ? exported : exported[event];
+        if (typeof handler !== 'function') return null;
+
+        const timeout = hook.timeout || HOOK_TIMEOUT;
+        let timer;
+        try {
+            return await Promise.race([
+                handler({ event, cwd: this.currentDirectory, ...data }),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`${hook.module} did not finish within ${timeout / 1000}s`)), timeout);
+                })
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async executeCommand(command, options = {}) {
+        const { showOutput = true, timeout = 30000, sandbox = false } = options;
+        // Headless runs keep stdout for structured output, so nothing inherits the terminal
+        const interactive = options.interactive && !this.headless;
+        
+        const hook = await this.runHooks('preCommand', { command, sandbox });
+        let rejected = null;
+        if (typeof hook.command === 'string' && hook.command !== command) {
+            if (showOutput) console.log(`🪝 Hook rewrote \`${command}\` to \`${hook.command}\``);
+            command = hook.command;
+            // Sandboxed commands were checked against the policy and approved; the new one has to be too
+            if (sandbox && !hook.blocked) {
+                const approval = await this.authorizeCommand(command);
+                if (!approval.approved) rejected = approval.reason;
+            }
+        }
+        
+        // Model-proposed commands run through the sandbox; commands the user types don't
+        const invocation = sandbox && process.platform !== 'win32' && !hook.blocked && !rejected ? this.getSandboxInvocation(command) : null;
+        
+        const startedAt = Date.now();
+        const result = await new Promise((resolve) => {
+            if (hook.blocked) {
+                if (showOutput) console.log(`🚫 Not running, blocked by hook: ${command} (${hook.reason})`);
+                resolve({ success: false, code: 1, stdout: '', stderr: '', error: `blocked by hook: ${hook.reason}` });
+                return;
+            }
+
+            if (rejected) {
+                resolve({ success: false, code: 1, stdout: '', stderr: '', error: `rewritten by a hook and not run: ${rejected}` });
+                return;
+            }
+
+            if (invocation && invocation.error) {
+                if (showOutput) console.error(`❌ ${invocation.error}`);
+                resolve({ success: false, code: 1, stdout: '', stderr: '', error: invocation.error });
+                return;
+            }
+
+            if (showOutput) {
+                console.log(`🔧 Executing${invocation ? ` (sandbox: ${invocation.description})` : ''}: ${command}`);
+            }
+
+            if (interactive) {
+                // Installers and builds keep the terminal so progress, colour and prompts work as usual.
+                // Their output goes straight to it and isn't captured; only the exit code is recorded.
+                const child = invocation
+                    ? spawn(invocation.file, invocation.args, { cwd: this.currentDirectory, stdio: 'inherit', env: invocation.env })
+                    : spawn(command, [], { 
+                        shell: true, 
+                        cwd: this.currentDirectory,
+                        stdio: 'inherit'
+                    });
+                
+                let error = null;
+                child.on('error', (spawnError) => {
+                    error = spawnError.message;
+                });
+                child.on('close', (code) => {
+                    if (showOutput) {
+                        console.log(code === 0 ? '✅ Command completed successfully' : `❌ Command failed with exit code: ${code}`);
+                    }
+                    resolve({
+                        success: code === 0,
+                        code: code === null ? 1 : code,
+                        stdout: '',
+                        stderr: '',
+                        terminalOutput: true,
+                        ...(error ? { error } : {})
+                    });
+                });
+            } else {
+                const onExit = (error, stdout, stderr) => {
+                    if (showOutput) {
+                        if (stdout) console.log(stdout.trim());
+                        if (stderr) console.error(stderr.trim());
+                        if (error) {
+                            if (error.code === 'TIMEOUT') {
+                                console.error(`❌ Command timed out after ${timeout}ms`);
+                            } else {
+                                console.error(`❌ Error: ${error.message}`);
+                            }
+                        } else {
+                            console.log('✅ Command completed successfully');
+                        }
+                    }
+                    
+                    resolve({
+                        success: !error,
+                        code: error ? (typeof error.code === 'number' ? error.code : 1) : 0,
+                        stdout: stdout || '',
+                        stderr: stderr || '',
+                        error: error ? error.message : null
+                    });
+                };
+                
+                if (invocation) {
+                    execFile(invocation.file, invocation.args, {
+                        cwd: this.currentDirectory,
+                        timeout: timeout,
+                        env: invocation.env,
+                        maxBuffer: 10 * 1024 * 1024
+                    }, onExit);
+                } else {
+                    exec(command, { 
+                        cwd: this.currentDirectory, 
+                        timeout: timeout,
+                        maxBuffer: 10 * 1024 * 1024
+                    }, onExit);
+                }
+            }
+        });
+
+        result.duration = Date.now() - startedAt;
+        this.commandResults.push({ command, ...result, finishedAt: new Date().toISOString() });
+        this.commandResults.splice(0, this.commandResults.length - COMMAND_RESULTS_KEPT);
+
+        if (!hook.blocked) {
+            await this.runHooks('postCommand', { command, exitCode: result.code, stdout: result.stdout, stderr: result.stderr });
+        }
+
+        if (this.headless) {
+            this.emitEvent('command', { command, ran: !hook.blocked, exitCode: result.code, stdout: result.stdout, stderr: result.stderr, error: result.error || null });
+            if (!result.success) this.headless.failed = true;
+        }
+        return result;
+    }
+
+    // A command's result as the model sees it: exit code, duration and the end of its output,
+    // where errors usually are
+    formatCommandResult(command, result) {
+        const clip = (text) => text.length > COMMAND_OUTPUT_MAX_CHARS
+            ? `...(${text.length - COMMAND_OUTPUT_MAX_CHARS} earlier characters cut)\n${text.slice(-COMMAND_OUTPUT_MAX_CHARS)}`
+            : text;
+        const stdout = stripAnsi(result.stdout || '').trim();
+        const stderr = stripAnsi(result.stderr || '').trim();
+        return [
+            `$ ${command}`,
+            `Exit code: ${result.code} (${formatDuration(result.duration || 0)})`,
+            stdout ? `stdout:\n${clip(stdout)}` : '',
+            stderr ? `stderr:\n${clip(stderr)}` : '',
+            result.error && !stdout && !stderr ? `error: ${result.error}` : '',
+            result.terminalOutput ? 'The output was shown in the terminal and not captured; ask the user or rerun the command non-interactively to see it.' : ''
+        ].filter(Boolean).join('\n');
+    }
+
+    // Add commands that ran outside the agent loop to the conversation as run_command calls and results,
+    // so the model knows what happened. Commands typed with /run are preceded by the user asking for them.
+    recordCommandResults(runs, options = {}) {
+        const { userRequested = false } = options;
+        if (runs.length === 0) return;
+
+        const calls = runs.map(({ command }) => ({
+            id: `run_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+            name: 'run_command',
+            args: { command }
+        }));
+        if (userRequested) {
+            this.conversationHistory.push({ role: 'user', content: runs.map(({ command }) => `/run ${command}`).join('\n') });
+        }
+        this.conversationHistory.push(
+            { role: 'assistant', content: '', toolCalls: calls },
+            ...runs.map(({ command, result }, i) => ({
+                role: 'tool',
+                toolCallId: calls[i].id,
+                name: 'run_command',
+                content: this.formatCommandResult(command, result)
+            }))
+        );
+        this.saveSession();
+    }
+
+    // The failed commands' output is already in the conversation, so the request only has to point at it
+    async offerCommandFix(failed) {
+        if (this.headless || failed.length === 0) return;
+
+        const one = failed.length === 1;
+        const choice = await this.askChoice(
+            `\n${one ? 'The command' : `${failed.length} commands`} failed. Ask the model to fix ${one ? 'it' : 'them'}? [y]es / [n]o: `,
+            ['y', 'n'],
+            { kind: 'fix', commands: failed.map(({ command }) => command) }
+        );
+        if (choice !== 'y') return;
+
+        const list = failed.map(({ command, result }) => `\`${command}\` (exit code ${result.code})`).join(', ');
+        await this.handleCodingRequest(`${one ? 'This command' : 'These commands'} failed: ${list}. The output is in the run_command result${one ? '' : 's'} above. Find the cause and fix it.`);
+    }
+
+    async runUserCommand(command) {
+        const result = await this.executeCommand(command);
+        this.recordCommandResults([{ command, result }], { userRequested: true });
+        if (!result.success) {
+            await this.offerCommandFix([{ command, result }]);
+        }
+    }
+
+    showLastOutput(args) {
+        if (this.commandResults.length === 0) {
+            console.log('No commands have run in this session yet.');
+            return;
+        }
+
+        const n = parseInt(args, 10) || 1;
+        const entry = this.commandResults[this.commandResults.length - n];
+        if (!entry) {
+            const count = this.commandResults.length;
+            console.log(`❌ There ${count === 1 ? 'is only 1 command result' : `are only ${count} command results`} (the last ${COMMAND_RESULTS_KEPT} are kept).`);
+            return;
+        }
+
+        const status = entry.success ? colors.green(`exit code ${entry.code}`) : colors.red(`exit code ${entry.code}`);
+        console.log(`\n${colors.bold(`$ ${entry.command}`)}`);
+        console.log(`${status} after ${formatDuration(entry.duration)}, ${new Date(entry.finishedAt).toLocaleTimeString()}`);
+        if (entry.stdout.trim()) console.log(`\n${colors.dim('stdout:')}\n${entry.stdout.trimEnd()}`);
+        if (entry.stderr.trim()) console.log(`\n${colors.dim('stderr:')}\n${entry.stderr.trimEnd()}`);
+        if (!entry.stdout.trim() && !entry.stderr.trim()) {
+            console.log(entry.error ? `\n${entry.error}` : (entry.terminalOutput ? '\n(the output went straight to the terminal and was not captured)' : '\n(no output)'));
+        }
+
+        const earlier = this.commandResults.slice(0, -1).reverse().slice(0, 5);
+        if (n === 1 && earlier.length > 0) {
+            console.log('\nEarlier commands:');
+            earlier.forEach((result, i) => {
+                console.log(`  /last-output ${i + 2}  ${result.command} ${colors.dim(`(exit code ${result.code}, ${formatDuration(result.duration)})`)}`);
+            });
+        }
+    }
+
+    // Returns { success, content, error }; content is what was written after preWrite hooks ran
+    async writeToFile(filePath, content, options = {}) {
+        const { showOutput = true, backup = false, append = false } = options;
+        
+        const hook = await this.runHooks('preWrite', { path: filePath, content, append });
+        if (hook.blocked) {
+            if (showOutput) console.log(`🚫 Not written, blocked by hook: ${filePath} (${hook.reason})`);
+            return { success: false, content, error: `blocked by hook: ${hook.reason}` };
+        }
+        if (typeof hook.content === 'string') content = hook.content;
+        
+        try {
+            const fullPath = path.resolve(this.currentDirectory, filePath);
+            const dir = path.dirname(fullPath);
+            
+            // Create directory if it doesn't exist
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+                if (showOutput) console.log(`📁 Created directory: ${path.dirname(filePath)}`);
+            }
+            
+            // Create backup if requested and file exists
+            const existed = fs.existsSync(fullPath);
+            if (backup && existed) {
+                const backupPath = `${fullPath}.backup.${Date.now()}`;
+                fs.copyFileSync(fullPath, backupPath);
+                if (showOutput) console.log(`🔄 Created backup: ${backupPath}`);
+            }
+            
+            // Remember the prior content for /undo
+            this.recordFileChange(fullPath);
+            
+            // Write or append content
+            if (append) {
+                fs.appendFileSync(fullPath, content);
+                if (showOutput) console.log(`➕ Appended to file: ${filePath}`);
+            } else {
+                fs.writeFileSync(fullPath, content);
+                if (showOutput) console.log(`📝 ${existed ? 'Updated' : 'Created'} file: ${filePath}`);
+            }
+        } catch (error) {
+            if (showOutput) console.error(`❌ Error writing to ${filePath}: ${error.message}`);
+            return { success: false, content, error: error.message };
+        }
+        
+        await this.runHooks('postWrite', { path: filePath, content, append });
+        return { success: true, content };
+    }
+
+    deleteFile(filePath, options = {}) {
+        const { showOutput = true } = options;
+        
+        try {
+            const fullPath = path.resolve(this.currentDirectory, filePath);
+            if (!fs.existsSync(fullPath)) {
+                if (showOutput) console.error(`❌ File not found: ${filePath}`);
+                return false;
+            }
+            
+            this.recordFileChange(fullPath);
+            fs.unlinkSync(fullPath);
+            if (showOutput) console.log(`🗑️ Deleted file: ${filePath}`);
+            return true;
+        } catch (error) {
+            if (showOutput) console.error(`❌ Error deleting ${filePath}: ${error.message}`);
+            return false;
+        }
+    }
+
+    readFile(filePath, options = {}) {
+        const { showOutput = true } = options;
+        
+        try {
+            const fullPath = path.resolve(this.currentDirectory, filePath);
+            if (!fs.existsSync(fullPath)) {
+                if (showOutput) console.error(`❌ File not found: ${filePath}`);
+                return null;
+            }
+            
             const content = fs.readFileSync(fullPath, 'utf8');
             if (showOutput) console.log(`📖 Read file: ${filePath} (${content.length} characters)`);
             return content;
         } catch (error) {
-            if (showOutput) console.error(`❌ Error reading ${filePath}: ${error.message}`);
+            if (showOutput) console.error(`❌ Error reading ${filePath}: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Ask the user a question; resolves null when there's no terminal to ask on.
+    // `details` describes what is being approved for clients of `delta serve`.
+    ask(question, details = {}) {
+        if (this.headless) {
+            if (this.headless.prompt) return Promise.resolve(this.headless.prompt(question, details));
+            // Nobody can approve a --print run, so it fails and the result lists what was held back
+            if (details.kind !== 'trust') {
+                const { kind, path: filePath, command, server, tool } = details;
+                this.headless.unapproved.push(JSON.parse(JSON.stringify({ kind, path: filePath, command, server, tool })));
+                this.headless.failed = true;
+            }
+            return Promise.resolve(null);
+        }
+        if (this.rl) {
+            return new Promise(resolve => {
+                const controller = new AbortController();
+                this.pendingQuestion = { details, controller, resolve };
+                this.rl.question(question, { signal: controller.signal }, (answer) => {
+                    this.pendingQuestion = null;
+                    resolve(answer);
+                });
+            });
+        }
+        if (!process.stdin.isTTY) {
+            return Promise.resolve(null);
+        }
+
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        return new Promise(resolve => rl.question(question, (answer) => {
+            rl.close();
+            resolve(answer);
+        }));
+    }
+
+    async askChoice(question, choices, details = {}) {
+        while (true) {
+            const answer = await this.ask(question, { ...details, choices });
+            if (answer === null) return null;
+
+            const choice = answer.trim().toLowerCase().charAt(0);
+            if (choices.includes(choice)) return choice;
+            console.log(`Please answer one of: ${choices.join(', ')}`);
+        }
+    }
+
+    // Open the proposed content in $EDITOR and return what the user saved
+    editInEditor(filePath, content) {
+        const tempFile = path.join(os.tmpdir(), `delta-${Date.now()}-${path.basename(filePath)}`);
+        fs.writeFileSync(tempFile, content);
+
+        const editor = process.env.VISUAL || process.env.EDITOR || 'vi';
+        if (this.rl) this.rl.pause();
+        try {
+            spawnSync(editor, [tempFile], { stdio: 'inherit', shell: true });
+            return fs.readFileSync(tempFile, 'utf8');
+        } finally {
+            if (this.rl) this.rl.resume();
+            fs.unlinkSync(tempFile);
+        }
+    }
+
+    // Show a diff of a proposed file change and write it according to approvalMode.
+    // Returns { applied, message } where message is suitable to hand back to the model.
+    async proposeFileChange(filePath, content) {
+        const existed = fs.existsSync(path.resolve(this.currentDirectory, filePath));
+        const result = await this.reviewFileChange(filePath, content);
+        this.emitEvent('file', { path: filePath, action: existed ? 'update' : 'create', applied: result.applied, message: result.message, content });
+        return result;
+    }
+
+    async reviewFileChange(filePath, content) {
+        // Whole files from a reply are named by the model, so keep them inside the project
+        let fullPath;
+        try {
+            fullPath = this.resolveProjectPath(filePath);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return { applied: false, message: error.message };
+        }
+        const existed = fs.existsSync(fullPath);
+        const oldContent = existed ? fs.readFileSync(fullPath, 'utf8') : '';
+
+        if (existed && oldContent === content) {
+            return { applied: true, message: `No changes to ${filePath}` };
+        }
+
+        const write = async (newContent, note = '') => {
+            const result = await this.writeToFile(filePath, newContent);
+            if (!result.success) {
+                return { applied: false, message: `Could not write ${filePath}: ${result.error}` };
+            }
+            if (result.content !== newContent) {
+                note += '; a hook changed the content before saving, read the file to see the final version';
+            }
+            const lines = result.content.split('\n').length;
+            return { applied: true, message: `${existed ? 'Updated' : 'Created'} ${filePath} (${lines} lines)${note}` };
+        };
+
+        if (this.approvalMode === 'auto' || this.approveAll) {
+            return write(content);
+        }
+
+        const diff = createDiff(oldContent, content);
+        console.log(`\n${formatDiff(filePath, diff, !existed)}\n`);
+
+        if (this.approvalMode === 'never') {
+            console.log(`⏸️ Not applied (approval mode: never): ${filePath}`);
+            return { applied: false, message: `Change to ${filePath} was not applied: approval mode is "never"` };
+        }
+
+        const choice = await this.askChoice(
+            `Apply changes to ${filePath}? [y]es / [n]o / [h]unk by hunk / [e]dit / [a]ccept all: `,
+            ['y', 'n', 'h', 'e', 'a'],
+            { kind: 'file', path: filePath, created: !existed, diff: stripAnsi(formatDiff(filePath, diff, !existed)) }
+        );
+
+        if (choice === null) {
+            console.log(`⏸️ Not applied (no terminal to confirm): ${filePath}`);
+            return { applied: false, message: `Change to ${filePath} was not applied: approval needed but no terminal is available` };
+        }
+
+        if (choice === 'a') {
+            this.approveAll = true;
+            return write(content);
+        }
+
+        if (choice === 'y') {
+            return write(content);
+        }
+
+        if (choice === 'n') {
+            console.log(`⏭️ Skipped: ${filePath}`);
+            return { applied: false, message: `User rejected the change to ${filePath}` };
+        }
+
+        if (choice === 'e') {
+            const edited = this.editInEditor(filePath, content);
+            return write(edited, edited === content ? '' : '; the user edited your proposal before saving, read the file to see the final version');
+        }
+
+        // Hunk by hunk
+        const accepted = new Set();
+        for (let i = 0; i < diff.hunks.length; i++) {
+            console.log(`\n${formatHunk(diff, diff.hunks[i])}`);
+            const hunkChoice = await this.askChoice(
+                `Hunk ${i + 1}/${diff.hunks.length}: [y]es / [n]o / [a]ccept rest / [d]iscard rest: `,
+                ['y', 'n', 'a', 'd'],
+                { kind: 'hunk', path: filePath, index: i, total: diff.hunks.length, diff: stripAnsi(formatHunk(diff, diff.hunks[i])) }
+            );
+
+            if (hunkChoice === 'y') {
+                accepted.add(i);
+            } else if (hunkChoice === 'a') {
+                for (let j = i; j < diff.hunks.length; j++) accepted.add(j);
+                break;
+            } else if (hunkChoice === 'd' || hunkChoice === null) {
+                break;
+            }
+        }
+
+        if (accepted.size === 0) {
+            console.log(`⏭️ Skipped: ${filePath}`);
+            return { applied: false, message: `User rejected the change to ${filePath}` };
+        }
+        if (accepted.size === diff.hunks.length) {
+            return write(content);
+        }
+        return write(
+            applyHunks(diff, accepted),
+            `; only ${accepted.size} of ${diff.hunks.length} hunks were accepted, read the file to see the result`
+        );
+    }
+
+    async proposeFileDeletion(filePath) {
+        const result = await this.reviewFileDeletion(filePath);
+        this.emitEvent('file', { path: filePath, action: 'delete', applied: result.applied, message: result.message });
+        return result;
+    }
+
+    async reviewFileDeletion(filePath) {
+        let fullPath;
+        try {
+            fullPath = this.resolveProjectPath(filePath);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+            return { applied: false, message: error.message };
+        }
+        if (!fs.existsSync(fullPath)) {
+            return { applied: false, message: `${filePath} does not exist` };
+        }
+
+        if (this.approvalMode === 'never') {
+            console.log(`⏸️ Not deleted (approval mode: never): ${filePath}`);
+            return { applied: false, message: `${filePath} was not deleted: approval mode is "never"` };
+        }
+
+        if (this.approvalMode === 'ask' && !this.approveAll) {
+            const choice = await this.askChoice(`Delete ${filePath}? [y]es / [n]o: `, ['y', 'n'], { kind: 'delete', path: filePath });
+            if (choice !== 'y') {
+                console.log(`⏭️ Kept: ${filePath}`);
+                return { applied: false, message: `User rejected deleting ${filePath}` };
+            }
+        }
+
+        return this.deleteFile(filePath)
+            ? { applied: true, message: `Deleted ${filePath}` }
+            : { applied: false, message: `Could not delete ${filePath}` };
+    }
+
+    // Confirm a command before it runs. Returns { approved, reason }
+    async confirmCommand(command, options = {}) {
+        const { force = false } = options;
+        if (this.approvedCommands.has(command) || (!force && (this.approvalMode === 'auto' || this.approveAll))) {
+            return { approved: true };
+        }
+
+        if (this.approvalMode === 'never') {
+            console.log(`⏸️ Not running (approval mode: never): ${command}`);
+            return { approved: false, reason: 'approval mode is "never"' };
+        }
+
+        const choice = await this.askChoice(`Run \`${command}\`? [y]es / [s]kip / [a]lways: `, ['y', 's', 'a'], { kind: 'command', command });
+
+        if (choice === null) {
+            console.log(`⏸️ Not running (no terminal to confirm): ${command}`);
+            return { approved: false, reason: 'approval needed but no terminal is available' };
+        }
+        if (choice === 's') {
+            console.log(`⏭️ Skipped: ${command}`);
+            return { approved: false, reason: 'the user skipped it' };
+        }
+        if (choice === 'a') {
+            this.approvedCommands.add(command);
+        }
+        return { approved: true };
+    }
+
+    runGit(args, options = {}) {
+        const result = spawnSync('git', args, {
+            cwd: this.currentDirectory,
+            encoding: options.encoding || 'utf8',
+            env: { ...process.env, ...(options.env || {}) },
+            input: options.input,
+            maxBuffer: 64 * 1024 * 1024
+        });
+        return {
+            ok: result.status === 0,
+            stdout: result.stdout || '',
+            stderr: result.stderr ? result.stderr.toString() : (result.error ? result.error.message : '')
+        };
+    }
+
+    isGitRepo() {
+        return this.runGit(['rev-parse', '--is-inside-work-tree']).stdout.trim() === 'true';
+    }
+
+    getCurrentBranch() {
+        const result = this.runGit(['rev-parse', '--abbrev-ref', 'HEAD']);
+        return result.ok ? result.stdout.trim() : null;
+    }
+
+    // The branch work is merged into: git.baseBranch, origin's default branch, or main/master
+    getBaseBranch() {
+        if (this.gitSettings.baseBranch) return this.gitSettings.baseBranch;
+        const remoteHead = this.runGit(['symbolic-ref', '--short', 'refs/remotes/origin/HEAD']);
+        if (remoteHead.ok && remoteHead.stdout.trim()) return remoteHead.stdout.trim();
+        return ['main', 'master'].find(name => this.runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${name}`]).ok) || null;
+    }
+
+    // Branch, status, recent commits and the uncommitted diff, cut to fit `budget` tokens
+    getGitContext(budget) {
+        if (!this.isGitRepo()) return '';
+
+        const status = this.runGit(['status', '--short']).stdout.trimEnd();
+        const log = this.runGit(['log', '--oneline', '-5']).stdout.trimEnd();
+        const sections = [
+            `Git branch: ${this.getCurrentBranch() || '(none)'}`,
+            `Git status:\n${status || 'Working tree clean'}`,
+            log ? `Recent commits:\n${log}` : ''
+        ].filter(Boolean);
+
+        let diff = this.runGit(['diff', 'HEAD']);
+        if (!diff.ok) diff = this.runGit(['diff']); // No commits yet
+        const remaining = (budget - estimateTokens(sections.join('\n\n'))) * 4;
+        if (diff.stdout.trim() && remaining > 400) {
+            const text = diff.stdout.length > remaining
+                ? `${diff.stdout.slice(0, diff.stdout.lastIndexOf('\n', remaining) + 1)}...(diff truncated)\n`
+                : diff.stdout;
+            sections.push(`Uncommitted changes (git diff HEAD):\n\`\`\`diff\n${text}\`\`\``);
+        }
+        return sections.join('\n\n');
+    }
+
+    // With git.autoBranch, a request's first write moves off the base branch, so questions that
+    // change nothing don't leave branches behind
+    ensureWorkBranch(request) {
+        if (!this.gitSettings.autoBranch || !this.isGitRepo()) return null;
+
+        const current = this.getCurrentBranch();
+        const base = (this.getBaseBranch() || '').replace(/^origin\//, '');
+        if (!current || ![base, 'main', 'master'].includes(current)) return null;
+
+        const slug = request.toLowerCase().match(/[a-z0-9]+/g)?.filter(word => !CONTEXT_STOPWORDS.has(word)).slice(0, 5).join('-').slice(0, 40) || 'changes';
+        let name = `${this.gitSettings.branchPrefix}${slug}`;
+        for (let i = 2; this.runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${name}`]).ok; i++) {
+            name = `${this.gitSettings.branchPrefix}${slug}-${i}`;
+        }
+
+        const result = this.runGit(['checkout', '-b', name]);
+        if (!result.ok) {
+            console.warn(`⚠️ Could not create branch ${name}: ${result.stderr.trim()}`);
+            return null;
+        }
+        console.log(`🌿 Switched to new branch ${name} (from ${current})`);
+        return name;
+    }
+
+    formatGitDiff(diff) {
+        return diff.split('\n').map(line => {
+            if (line.startsWith('diff --git')) return colors.bold(line);
+            if (line.startsWith('@@')) return colors.cyan(line);
+            if (line.startsWith('+') && !line.startsWith('+++')) return colors.green(line);
+            if (line.startsWith('-') && !line.startsWith('---')) return colors.red(line);
+            return line;
+        }).join('\n');
+    }
+
+    showGitDiff(args) {
+        if (!this.isGitRepo()) {
+            console.log('❌ Not a git repository');
+            return;
+        }
+
+        const words = args.split(/\s+/).filter(Boolean);
+        const staged = words.includes('--staged') || words.includes('--cached');
+        const paths = words.filter(word => !word.startsWith('--'));
+        let diff = this.runGit(['diff', ...(staged ? ['--cached'] : ['HEAD']), '--', ...paths]);
+        if (!diff.ok && !staged) diff = this.runGit(['diff', '--', ...paths]);
+        const untracked = staged ? '' : this.runGit(['ls-files', '--others', '--exclude-standard', '--', ...paths]).stdout.trim();
+
+        if (!diff.stdout.trim() && !untracked) {
+            console.log(staged ? 'Nothing staged.' : 'No uncommitted changes.');
+            return;
+        }
+        if (diff.stdout.trim()) {
+            console.log(`\n${this.formatGitDiff(diff.stdout.trimEnd())}\n`);
+        }
+        if (untracked) {
+            console.log(`Untracked files:\n${untracked.split('\n').map(file => `  ${colors.green(file)}`).join('\n')}\n`);
+        }
+    }
+
+    // Cut a diff to roughly the context budget for prompts about it
+    truncateDiff(diff) {
+        const limit = this.contextTokens * 4;
+        return diff.length > limit ? `${diff.slice(0, diff.lastIndexOf('\n', limit) + 1)}...(diff truncated)\n` : diff;
+    }
+
+    async handleCommitCommand(args) {
+        if (!this.isGitRepo()) {
+            console.log('❌ Not a git repository');
+            return;
+        }
+
+        // --all stages everything for the draft; the index is put back unless the commit goes ahead
+        let savedIndex = null;
+        if (args.split(/\s+/).includes('--all')) {
+            const tree = this.runGit(['write-tree']);
+            savedIndex = tree.ok ? tree.stdout.trim() : null;
+            this.runGit(['add', '-A']);
+        }
+        let committed = false;
+        try {
+            committed = await this.draftAndCommit();
+        } finally {
+            if (savedIndex && !committed) this.runGit(['read-tree', savedIndex]);
+        }
+    }
+
+    // Returns whether a commit was made
+    async draftAndCommit() {
+        const diff = this.runGit(['diff', '--cached']).stdout;
+        if (!diff.trim()) {
+            console.log('Nothing staged. Stage changes with `git add`, or use /commit --all.');
+            return false;
+        }
+
+        console.log('✍️ Drafting a commit message from the staged changes...');
+        const log = this.runGit(['log', '--format=%s', '-10']).stdout.trim();
+        const stat = this.runGit(['diff', '--cached', '--stat']).stdout.trimEnd();
+        let message = await this.makeApiRequest([{
+            role: 'user',
+            content: `Write a commit message for the staged changes below, following Conventional Commits: "type(scope): subject", where type is one of feat, fix, refactor, perf, docs, test, build, ci, style or chore and the scope is optional. Use an imperative subject under 72 characters. If the change isn't trivial, add a blank line and a short body saying what changed and why. Reply with the commit message only.
+
+${log ? `Recent commit subjects, for the project's style:\n${log}\n\n` : ''}Changed files:
+${stat}
+
+\`\`\`diff
+${this.truncateDiff(diff)}\`\`\``
+        }], 'You write clear, accurate git commit messages.');
+        message = message.trim().replace(/^```\w*\n([\s\S]*?)\n```$/, '$1').trim();
+
+        console.log(`\n${colors.bold(message.split('\n')[0])}${message.includes('\n') ? message.slice(message.indexOf('\n')) : ''}\n`);
+        const choice = await this.askChoice('Commit with this message? [y]es / [e]dit / [n]o: ', ['y', 'e', 'n'], { kind: 'commit', message });
+        if (choice === 'e') {
+            message = this.editInEditor('COMMIT_EDITMSG', message).trim();
+        }
+        if (choice === null || choice === 'n' || !message) {
+            console.log('⏭️ Not committed.');
+            return false;
+        }
+
+        const result = this.runGit(['commit', '-F', '-'], { input: message });
+        if (!result.ok) {
+            console.log(`❌ git commit failed: ${(result.stderr || result.stdout).trim()}`);
+            return false;
+        }
+        const hash = this.runGit(['rev-parse', '--short', 'HEAD']).stdout.trim();
+        console.log(`✅ Committed ${hash}: ${message.split('\n')[0]}`);
+        return true;
+    }
+
+    async handlePrDescriptionCommand(args) {
+        if (!this.isGitRepo()) {
+            console.log('❌ Not a git repository');
+            return;
+        }
+
+        const base = args || this.getBaseBranch();
+        if (!base) {
+            console.log('❌ Could not tell which branch this one is based on. Use /pr-description <base> or set git.baseBranch.');
+            return;
+        }
+        const log = this.runGit(['log', '--reverse', '--format=- %s%n%b', `${base}..HEAD`]);
+        if (!log.ok) {
+            console.log(`❌ ${log.stderr.trim()}`);
+            return;
+        }
+        if (!log.stdout.trim()) {
+            console.log(`No commits on ${this.getCurrentBranch()} that aren't on ${base}.`);
+            return;
+        }
+
+        const stat = this.runGit(['diff', '--stat', `${base}...HEAD`]).stdout.trimEnd();
+        const diff = this.runGit(['diff', `${base}...HEAD`]).stdout;
+        const uncommitted = this.runGit(['status', '--short']).stdout.trim();
+
+        console.log(`📝 Describing ${this.getCurrentBranch()} against ${base}...\n`);
+        const description = await this.makeApiRequest([{
+            role: 'user',
+            content: `Write a pull request description for the branch below. Start with a one-line title, then Markdown sections "Summary" (what changes and why, in a few sentences), "Changes" (bullet points grouped by area) and "Testing" (how it was verified, if the commits or diff show it; otherwise what a reviewer should check). Describe only what the commits and diff show.
+
+Commits:
+${log.stdout.trim()}
+
+Changed files:
+${stat}
+
+\`\`\`diff
+${this.truncateDiff(diff)}\`\`\``
+        }], 'You write clear, accurate pull request descriptions.', {
+            onToken: this.headless ? null : (token) => process.stdout.write(token)
+        });
+
+        if (this.headless) console.log(description);
+        else process.stdout.write('\n');
+        if (uncommitted) {
+            console.log(`\n⚠️ There are uncommitted changes that this description doesn't cover.`);
+        }
+        return description;
+    }
+
+    // Options shared by `delta review` and /review: [--staged | <base>..<head> | <base>] [--format f] [--fail-on s] [--fix]
+    parseReviewArgs(words) {
+        const options = { target: null, format: 'text', failOn: 'error', fix: false };
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+            if (word === '--staged' || word === '--cached') options.target = '--staged';
+            else if (word === '--fix') options.fix = true;
+            else if (word === '--format') options.format = words[++i];
+            else if (word === '--fail-on') options.failOn = words[++i];
+            else if (word.startsWith('-')) throw new Error(`Unknown review option: ${word}`);
+            else options.target = word;
+        }
+
+        if (!REVIEW_FORMATS.includes(options.format)) {
+            throw new Error(`Unknown review format: ${options.format} (use ${REVIEW_FORMATS.join(', ')})`);
+        }
+        if (![...REVIEW_SEVERITIES, 'none'].includes(options.failOn)) {
+            throw new Error(`Unknown severity for --fail-on: ${options.failOn} (use ${REVIEW_SEVERITIES.join(', ')} or none)`);
+        }
+        if (options.fix && options.format !== 'text') {
+            throw new Error('--fix only works with --format text');
+        }
+        return options;
+    }
+
+    // The diff to review and a way to read the reviewed version of each changed file.
+    // No target means uncommitted changes, including untracked files.
+    getReviewDiff(target) {
+        let diffArgs, label, ref;
+        if (!target) {
+            diffArgs = ['diff', '--relative', 'HEAD'];
+            label = 'uncommitted changes';
+            ref = null;
+        } else if (target === '--staged') {
+            diffArgs = ['diff', '--relative', '--cached'];
+            label = 'staged changes';
+            ref = '';
+        } else {
+            // A lone base reviews what this branch added since it forked, like /pr-description
+            const range = target.includes('..') ? target : `${target}...HEAD`;
+            diffArgs = ['diff', '--relative', range];
+            label = range;
+            ref = range.split(/\.\.\.?/)[1] || 'HEAD';
+        }
+
+        let diff = this.runGit(diffArgs);
+        if (!diff.ok && !target) diff = this.runGit(['diff', '--relative']); // No commits yet
+        if (!diff.ok) {
+            throw new Error(diff.stderr.trim() || `git ${diffArgs.join(' ')} failed`);
+        }
+
+        const files = parseDiffFiles(diff.stdout);
+        if (!target) {
+            const untracked = this.runGit(['ls-files', '--others', '--exclude-standard']).stdout.split('\n').filter(Boolean);
+            files.push(...untracked.map(file => ({ path: file, ranges: [[1, Infinity]], untracked: true })));
+        }
+
+        // ref '' is the index; paths are relative to the current directory, hence ./
+        const read = (file) => {
+            if (ref === null) return this.readFile(file, { showOutput: false });
+            const result = this.runGit(['show', `${ref}:./${file}`]);
+            return result.ok ? result.stdout : null;
+        };
+        return { diff: diff.stdout, label, files, read };
+    }
+
+    // Line-numbered changed files for the model to check line numbers against:
+    // whole files while they fit in the context budget, otherwise just the changed regions
+    getReviewContext(files, read) {
+        let remaining = this.contextTokens * 4;
+        const sections = [];
+        for (const file of files) {
+            const content = read(file.path);
+            if (content === null || content.includes('\0')) continue;
+
+            const lines = content.replace(/\n$/, '').split('\n');
+            const numbered = (start, end) => lines.slice(start - 1, end).map((line, i) => `${String(start + i).padStart(5)} | ${line}`).join('\n');
+            let text = numbered(1, lines.length);
+            if (text.length > remaining) {
+                const regions = [];
+                for (const [start, end] of [...file.ranges].sort((a, b) => a[0] - b[0])) {
+                    const from = Math.max(1, start - REVIEW_CONTEXT_LINES);
+                    const to = Math.min(lines.length, end + REVIEW_CONTEXT_LINES);
+                    const last = regions[regions.length - 1];
+                    if (last && from <= last[1] + 1) last[1] = Math.max(last[1], to);
+                    else regions.push([from, to]);
+                }
+                text = regions.map(([from, to]) => numbered(from, to)).join('\n  ...\n');
+            }
+            if (text.length > remaining) break;
+
+            remaining -= text.length;
+            sections.push(`${file.path}${file.untracked ? ' (new, untracked)' : ''}\n\`\`\`\n${text}\n\`\`\``);
+        }
+        return sections.join('\n\n');
+    }
+
+    // Ask the model for structured findings on a diff: { label, summary, findings }
+    async requestReview(target, log = console.log) {
+        if (!this.isGitRepo()) {
+            throw new Error('Not a git repository');
+        }
+
+        const { diff, label, files, read } = this.getReviewDiff(target);
+        if (files.length === 0) {
+            return { label, summary: 'No changes to review.', findings: [] };
+        }
+
+        log(`🔎 Reviewing ${label} (${files.length} file${files.length === 1 ? '' : 's'})...`);
+        const untracked = files.filter(file => file.untracked).map(file => `- ${file.path}`).join('\n');
+        const text = await this.makeApiRequest([{
+            role: 'user',
+            content: `Review the code changes below (${label}). Look for bugs, security problems, performance issues, missing error handling and confusing code. Report only problems in the changed lines or caused by them, not issues the surrounding code already had.
+
+Reply with JSON only, in this shape:
+{"summary": "one or two sentences", "findings": [{"file": "path as shown below", "line": 12, "severity": "error", "category": "bug", "message": "what is wrong", "suggestion": "how to fix it", "fix": {"search": "lines copied exactly from the file", "replace": "the corrected lines"}}]}
+
+- "line" is the line number in the new version of the file, as numbered below.
+- "severity" is "error" for code that is broken or exploitable, "warning" for likely bugs and risky code, "info" for minor improvements.
+- "category" is one of bug, security, performance, error-handling, maintainability, style or test.
+- Include "fix" only for a small, self-contained correction. Copy "search" exactly from the file, without the line numbers.
+- With nothing to report, reply {"summary": "...", "findings": []}.
+
+Changed files:
+${this.getReviewContext(files, read)}
+
+${diff.trim() ? `\`\`\`diff\n${this.truncateDiff(diff)}\`\`\`` : ''}${untracked ? `\n\nNew untracked files:\n${untracked}` : ''}`
+        }], 'You are a careful senior engineer reviewing a colleague\'s change. You report real problems precisely and skip nitpicks.');
+
+        return { label, ...this.parseReviewResponse(text) };
+    }
+
+    parseReviewResponse(text) {
+        let data;
+        try {
+            data = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+        } catch (error) {
+            throw new Error(`The review didn't come back as JSON: ${text.trim().slice(0, 200)}`);
+        }
+
+        const findings = (Array.isArray(data.findings) ? data.findings : [])
+            .filter(finding => finding && finding.file && finding.message)
+            .map(finding => ({
+                file: String(finding.file).replace(/^[ab]\//, ''),
+                line: Math.max(1, parseInt(finding.line, 10) || 1),
+                severity: REVIEW_SEVERITIES.includes(finding.severity) ? finding.severity : 'warning',
+                category: String(finding.category || 'general'),
+                message: String(finding.message),
+                suggestion: finding.suggestion ? String(finding.suggestion) : '',
+                fix: finding.fix && typeof finding.fix.search === 'string' && typeof finding.fix.replace === 'string'
+                    ? { search: finding.fix.search, replace: finding.fix.replace }
+                    : null
+            }))
+            .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+        return { summary: String(data.summary || ''), findings };
+    }
+
+    printReview(review) {
+        const severityColors = { error: colors.red, warning: colors.yellow, info: colors.cyan };
+        const counts = REVIEW_SEVERITIES
+            .map(severity => [severity, review.findings.filter(finding => finding.severity === severity).length])
+            .filter(([, count]) => count > 0)
+            .map(([severity, count]) => `${count} ${severity}${count === 1 ? '' : 's'}`);
+
+        console.log(`\n🔎 Review of ${review.label}: ${counts.length > 0 ? counts.join(', ') : 'no findings'}`);
+        if (review.summary) console.log(review.summary);
+
+        let file = null;
+        for (const finding of review.findings) {
+            if (finding.file !== file) {
+                file = finding.file;
+                console.log(`\n${colors.bold(file)}`);
+            }
+            const severity = severityColors[finding.severity](finding.severity.padEnd(7));
+            console.log(`  ${String(finding.line).padStart(5)}  ${severity} ${colors.dim(`[${finding.category}]`)} ${finding.message}`);
+            if (finding.suggestion) {
+                console.log(`                ${colors.dim('→')} ${finding.suggestion}${finding.fix ? colors.dim(' (fix available)') : ''}`);
+            }
+        }
+        console.log('');
+    }
+
+    // Suggested fixes go through the normal approval flow and writeToFile, as one checkpoint
+    async applyReviewFixes(findings) {
+        const byFile = new Map();
+        for (const finding of findings.filter(finding => finding.fix)) {
+            if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+            byFile.get(finding.file).push(finding);
+        }
+        if (byFile.size === 0) {
+            console.log('No suggested fixes to apply.');
+            return;
+        }
+
+        this.approveAll = false;
+        this.beginCheckpoint(`Apply review fixes to ${[...byFile.keys()].join(', ')}`);
+        try {
+            for (const [file, fixes] of byFile) {
+                try {
+                    this.resolveProjectPath(file);
+                } catch (error) {
+                    console.log(`⚠️ Skipping fixes for ${file}: ${error.message}`);
+                    continue;
+                }
+                const original = this.readFile(file, { showOutput: false });
+                if (original === null) {
+                    console.log(`⚠️ Skipping fixes for ${file}: file not found`);
+                    continue;
+                }
+
+                // Apply bottom-up so earlier fixes don't move the lines later ones point at
+                let content = original;
+                for (const finding of [...fixes].sort((a, b) => b.line - a.line)) {
+                    const result = applyEdit(content, finding.fix.search, finding.fix.replace, { line: finding.line });
+                    if (result.error) {
+                        console.log(`⚠️ Could not apply the fix for ${file}:${finding.line}: ${result.error}`);
+                    } else {
+                        content = result.content;
+                    }
+                }
+                if (content !== original) {
+                    await this.proposeFileChange(file, content);
+                }
+            }
+        } finally {
+            this.finishCheckpoint();
+        }
+    }
+
+    // Review, print in the chosen format and optionally apply fixes
+    async runReview(options) {
+        // Keep stdout clean for JSON and SARIF
+        const review = await this.requestReview(options.target, options.format === 'text' ? console.log : console.error);
+        if (options.format === 'sarif') {
+            console.log(JSON.stringify(reviewToSarif(review), null, 2));
+        } else if (options.format === 'json') {
+            console.log(JSON.stringify(review, null, 2));
+        } else {
+            this.printReview(review);
+        }
+
+        if (options.fix) {
+            await this.applyReviewFixes(review.findings);
+        }
+        return review;
+    }
+
+    async handleReviewCommand(args) {
+        try {
+            await this.runReview(this.parseReviewArgs(args.split(/\s+/).filter(Boolean)));
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
+
+    // tests.command from config.json, or a guess from the project's manifests
+    detectTestCommand() {
+        if (this.testSettings.command) return this.testSettings.command;
+
+        const exists = (file) => fs.existsSync(path.join(this.currentDirectory, file));
+        const read = (file) => (exists(file) && this.readFile(file, { showOutput: false })) || '';
+
+        if (exists('package.json')) {
+            try {
+                const test = (JSON.parse(read('package.json')).scripts || {}).test;
+                // `npm init` leaves a placeholder that always fails
+                if (test && !test.includes('no test specified')) {
+                    if (exists('pnpm-lock.yaml')) return 'pnpm test';
+                    if (exists('yarn.lock')) return 'yarn test';
+                    if (exists('bun.lockb')) return 'bun run test';
+                    return 'npm test';
+                }
+            } catch (error) {
+                // Unparseable package.json; try the other ecosystems
+            }
+        }
+        if (exists('Cargo.toml')) return 'cargo test';
+        if (exists('go.mod')) return 'go test ./...';
+        if (exists('pytest.ini') || exists('conftest.py') || read('pyproject.toml').includes('[tool.pytest') ||
+            read('setup.cfg').includes('[tool:pytest]') || read('tox.ini').includes('[pytest]')) {
+            return 'python -m pytest';
+        }
+        if (['pyproject.toml', 'setup.py', 'requirements.txt'].some(exists) && (exists('tests') || exists('test'))) {
+            return 'python -m pytest';
+        }
+        if (/^test:/m.test(read('Makefile'))) return 'make test';
+        return null;
+    }
+
+    // Failure and error lines from jest, mocha, node:test, pytest, cargo and go output, plus the project files it names
+    parseTestFailures(output) {
+        const failurePattern = /^\s*(FAIL\b|ERROR\b|--- FAIL|not ok\b|● |✕|✖|×|\d+\) |\w*Error\b[:[ ])|\bFAILED\b|\b\d+ (failed|failing)\b/;
+        const lines = output.split('\n').filter(line => failurePattern.test(line)).map(line => line.trim());
+        const failures = [...new Set(lines)];
+
+        const matcher = this.getIgnoreMatcher();
+        const files = [];
+        const pathPattern = /(?:^|[\s('"`])((?:\.{0,2}\/)?[\w@.-]+(?:\/[\w@.-]+)*\.[A-Za-z]{1,5})(?=[:\s)'"`,]|$)/gm;
+        for (const match of output.matchAll(pathPattern)) {
+            const fullPath = path.resolve(this.currentDirectory, match[1]);
+            const relativePath = path.relative(this.currentDirectory, fullPath);
+            if (relativePath.startsWith('..') || path.isAbsolute(relativePath) || files.includes(relativePath)) continue;
+            if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile() || this.shouldIgnoreFile(relativePath, matcher, false)) continue;
+
+            files.push(relativePath);
+            if (files.length >= 10) break;
+        }
+
+        const count = output.match(/\b(\d+) (failed|failing)\b/);
+        return { failures, files, summary: count ? `${count[1]} failing` : null };
+    }
+
+    // Run the tests and send failures to the model until they pass or tests.maxAttempts fixes were tried.
+    // Each attempt is an ordinary request, so its edits are approved as usual and saved as a checkpoint.
+    async fixTests(args) {
+        const command = args || this.detectTestCommand();
+        if (!command) {
+            console.log('❌ Could not detect a test command. Use /fix-tests <cmd> or set tests.command in config.json.');
+            return;
+        }
+
+        // A command the user typed runs as is; a configured or detected one runs project code the user
+        // hasn't seen, so it goes through the command policy, approval and sandbox like a model's command
+        const checked = !args;
+        if (checked && !(await this.authorizeCommand(command)).approved) {
+            console.log(`⏸️ Not running the tests. Use /fix-tests ${command} to run them anyway.`);
+            return;
+        }
+
+        const { maxAttempts, timeout } = this.testSettings;
+        const attempts = [];
+        for (let attempt = 0; ; attempt++) {
+            console.log(`\n🧪 ${attempt === 0 ? 'Running' : 'Rerunning'} ${command}...`);
+            const result = await this.executeCommand(command, { showOutput: false, timeout, sandbox: checked });
+            if (result.success) {
+                if (attempts.length > 0) attempts[attempts.length - 1].after = 'passing';
+                console.log(attempt === 0 ? '✅ Tests pass, nothing to fix.' : `✅ Tests pass after ${attempt} fix attempt${attempt === 1 ? '' : 's'}.`);
+                break;
+            }
+
+            const output = stripAnsi([result.stdout, result.stderr].filter(Boolean).join('\n') || result.error || '');
+            const { failures, files, summary } = this.parseTestFailures(output);
+            const status = summary || `exit code ${result.code}`;
+            if (attempts.length > 0) attempts[attempts.length - 1].after = status;
+
+            console.log(`❌ Tests failed (${status})`);
+            failures.slice(0, 10).forEach(line => console.log(colors.dim(`   ${line}`)));
+            if (failures.length > 10) console.log(colors.dim(`   ...and ${failures.length - 10} more`));
+
+            if (attempt >= maxAttempts) {
+                console.log(`⚠️ Still failing after ${maxAttempts} fix attempt${maxAttempts === 1 ? '' : 's'} (tests.maxAttempts).`);
+                break;
+            }
+
+            const tail = output.length > 12000 ? `...\n${output.slice(-12000)}` : output;
+            const prompt = `The test command \`${command}\` fails with exit code ${result.code}. Find the cause and fix it. Prefer fixing the code under test; change a test only if it is clearly wrong. The tests are rerun after your changes, so you don't need to run them.
+
+${failures.length > 0 ? `Failures:\n${failures.slice(0, 30).join('\n')}\n\n` : ''}Test output:
+\`\`\`
+${tail}
+\`\`\`${files.length > 0 ? `\n\nFiles named in the output: ${files.map(file => `@${file}`).join(' ')}` : ''}`;
+
+            console.log(`\n🔧 Fix attempt ${attempt + 1}/${maxAttempts}`);
+            const firstId = this.loadCheckpointIndex().nextId;
+            await this.handleCodingRequest(prompt);
+            const checkpoints = this.loadCheckpointIndex().applied.filter(id => id >= firstId);
+            attempts.push({ before: status, after: null, checkpoints });
+
+            if (checkpoints.length === 0) {
+                console.log('⚠️ No changes were made, stopping.');
+                break;
+            }
+        }
+
+        if (attempts.length > 0) {
+            console.log('\n📋 Fix attempts:');
+            attempts.forEach((entry, i) => {
+                const changes = entry.checkpoints.length > 0 ? `checkpoint ${entry.checkpoints.join(', ')}` : 'no changes';
+                console.log(`  ${i + 1}. ${entry.before}${entry.after ? ` → ${entry.after}` : ''} (${changes})`);
+            });
+            const first = attempts.find(entry => entry.checkpoints.length > 0);
+            if (first) {
+                console.log(`Use /undo to revert the last attempt, or /restore ${first.checkpoints[0]} to revert them all.`);
+            }
+        }
+    }
+
+    // Checkpoints are stored per project, keyed by a hash of the project path
+    getProjectHash() {
+        return crypto.createHash('sha1').update(this.currentDirectory).digest('hex').slice(0, 12);
+    }
+
+    getCheckpointDir() {
+        return path.join(this.configDir, 'checkpoints', this.getProjectHash());
+    }
+
+    loadCheckpointIndex() {
+        const indexFile = path.join(this.getCheckpointDir(), 'index.json');
+        try {
+            if (fs.existsSync(indexFile)) {
+                return JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+            }
+        } catch (error) {
+            console.warn('Warning: Could not load checkpoint index');
+        }
+        return { nextId: 1, applied: [], undone: [] };
+    }
+
+    saveCheckpointIndex(index) {
+        const dir = this.getCheckpointDir();
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify(index, null, 2));
+    }
+
+    loadCheckpoint(id) {
+        const file = path.join(this.getCheckpointDir(), `${id}.json`);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    // Commit the working tree to refs/delta/checkpoints without touching HEAD or the index. Only the
+    // project directory is snapshotted; the rest of the repository stays as in HEAD.
+    createShadowCommit(message) {
+        const indexFile = path.join(os.tmpdir(), `delta-index-${process.pid}-${Date.now()}`);
+        const env = {
+            GIT_INDEX_FILE: indexFile,
+            GIT_AUTHOR_NAME: 'Delta CLI',
+            GIT_AUTHOR_EMAIL: 'delta-cli@localhost',
+            GIT_COMMITTER_NAME: 'Delta CLI',
+            GIT_COMMITTER_EMAIL: 'delta-cli@localhost'
+        };
+
+        try {
+            this.runGit(['read-tree', 'HEAD'], { env });
+            if (!this.runGit(['add', '-A', '--', '.'], { env }).ok) return null;
+
+            const tree = this.runGit(['write-tree'], { env });
+            if (!tree.ok) return null;
+
+            const parent = this.runGit(['rev-parse', '--verify', '-q', CHECKPOINT_REF]).stdout.trim();
+            const commit = this.runGit(['commit-tree', tree.stdout.trim(), ...(parent ? ['-p', parent] : []), '-m', message], { env });
+            if (!commit.ok) return null;
+
+            const sha = commit.stdout.trim();
+            this.runGit(['update-ref', CHECKPOINT_REF, sha]);
+            return sha;
+        } finally {
+            if (fs.existsSync(indexFile)) fs.unlinkSync(indexFile);
+        }
+    }
+
+    // Start recording the files a request touches
+    beginCheckpoint(request) {
+        this.activeCheckpoint = {
+            request: request.slice(0, 200),
+            createdAt: new Date().toISOString(),
+            files: new Map(),
+            gitBefore: null
+        };
+
+        if (this.checkpointGit && this.isGitRepo()) {
+            this.activeCheckpoint.gitBefore = this.createShadowCommit(`delta: before "${request.slice(0, 60)}"`);
+        }
+    }
+
+    // Called before any write or delete so the prior content can be restored
+    recordFileChange(fullPath) {
+        if (this.pendingWorkBranch !== null) {
+            const request = this.pendingWorkBranch;
+            this.pendingWorkBranch = null;
+            this.ensureWorkBranch(request);
+        }
+
+        const checkpoint = this.activeCheckpoint;
+        if (!checkpoint || checkpoint.gitBefore) return;
+
+        const relativePath = path.relative(this.currentDirectory, fullPath);
+        if (checkpoint.files.has(relativePath)) return;
+
+        checkpoint.files.set(relativePath, {
+            path: relativePath,
+            before: fs.existsSync(fullPath) ? fs.readFileSync(fullPath).toString('base64') : null
+        });
+    }
+
+    finishCheckpoint() {
+        const checkpoint = this.activeCheckpoint;
+        this.activeCheckpoint = null;
+        this.pendingWorkBranch = null;
+        if (!checkpoint) return null;
+
+        const record = {
+            request: checkpoint.request,
+            createdAt: checkpoint.createdAt,
+            files: []
+        };
+
+        if (checkpoint.gitBefore) {
+            const gitAfter = this.createShadowCommit(`delta: after "${checkpoint.request.slice(0, 60)}"`);
+            if (!gitAfter) return null;
+
+            // The diff between the two snapshots also catches files changed by commands. --relative
+            // gives paths relative to the project directory, which may be below the repository root.
+            const diff = this.runGit(['diff-tree', '-r', '--no-renames', '--relative', '--name-status', checkpoint.gitBefore, gitAfter]);
+            const statuses = { A: 'created', M: 'modified', D: 'deleted' };
+            record.git = { before: checkpoint.gitBefore, after: gitAfter };
+            record.files = diff.stdout.split('\n').filter(Boolean).map(line => {
+                const [status, ...rest] = line.split('\t');
+                return { path: rest.join('\t'), status: statuses[status.charAt(0)] || 'modified' };
+            });
+        } else {
+            for (const file of checkpoint.files.values()) {
+                const fullPath = path.join(this.currentDirectory, file.path);
+                const after = fs.existsSync(fullPath) ? fs.readFileSync(fullPath).toString('base64') : null;
+                if (after === file.before) continue;
+
+                const status = file.before === null ? 'created' : (after === null ? 'deleted' : 'modified');
+                record.files.push({ path: file.path, status, before: file.before, after });
+            }
+        }
+
+        if (record.files.length === 0) return null;
+
+        try {
+            const index = this.loadCheckpointIndex();
+            record.id = index.nextId++;
+
+            // A new checkpoint makes the undone ones unreachable, like an editor's redo stack
+            for (const id of index.undone) {
+                const file = path.join(this.getCheckpointDir(), `${id}.json`);
+                if (fs.existsSync(file)) fs.unlinkSync(file);
+            }
+            index.undone = [];
+            index.applied.push(record.id);
+
+            fs.mkdirSync(this.getCheckpointDir(), { recursive: true });
+            fs.writeFileSync(path.join(this.getCheckpointDir(), `${record.id}.json`), JSON.stringify(record, null, 2));
+            this.saveCheckpointIndex(index);
+            console.log(`💾 Checkpoint ${record.id} saved (${record.files.length} file${record.files.length === 1 ? '' : 's'}). Use /undo to revert.`);
+            return record;
+        } catch (error) {
+            console.warn(`Warning: Could not save checkpoint: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Content of a checkpointed file on one side ('before' or 'after'), null when it didn't exist
+    getCheckpointContent(checkpoint, file, side) {
+        if (checkpoint.git) {
+            // ./ makes the path relative to the project directory instead of the repository root
+            const result = this.runGit(['show', `${checkpoint.git[side]}:./${file.path}`], { encoding: 'buffer' });
+            return result.ok ? result.stdout : null;
+        }
+        return file[side] === null ? null : Buffer.from(file[side], 'base64');
+    }
+
+    // Put every file of a checkpoint back to one side. Files edited since then are left alone unless forced.
+    restoreCheckpointFiles(checkpoint, side, force = false) {
+        const otherSide = side === 'before' ? 'after' : 'before';
+        const conflicts = [];
+
+        for (const file of checkpoint.files) {
+            const fullPath = path.join(this.currentDirectory, file.path);
+            const expected = this.getCheckpointContent(checkpoint, file, otherSide);
+            const current = fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null;
+            const unchanged = expected === null ? current === null : current !== null && current.equals(expected);
+
+            if (!unchanged && !force) {
+                conflicts.push(file.path);
+            }
+        }
+
+        if (conflicts.length > 0) {
+            console.log(`⚠️ These files changed after checkpoint ${checkpoint.id}: ${conflicts.join(', ')}`);
+            console.log('Nothing was restored. Add --force to overwrite them anyway.');
+            return false;
+        }
+
+        for (const file of checkpoint.files) {
+            const fullPath = path.join(this.currentDirectory, file.path);
+            const content = this.getCheckpointContent(checkpoint, file, side);
+
+            if (content === null) {
+                if (fs.existsSync(fullPath)) fs.unlinkSync(fullPath);
+                console.log(`🗑️ Removed: ${file.path}`);
+            } else {
+                fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+                fs.writeFileSync(fullPath, content);
+                console.log(`↩️ Restored: ${file.path}`);
+            }
+        }
+        return true;
+    }
+
+    undoCheckpoint(force = false) {
+        const index = this.loadCheckpointIndex();
+        const id = index.applied[index.applied.length - 1];
+        const checkpoint = id !== undefined && this.loadCheckpoint(id);
+        if (!checkpoint) {
+            console.log('ℹ️ Nothing to undo.');
+            return false;
+        }
+
+        if (!this.restoreCheckpointFiles(checkpoint, 'before', force)) return false;
+
+        index.applied.pop();
+        index.undone.push(id);
+        this.saveCheckpointIndex(index);
+        console.log(`⏪ Undid checkpoint ${id}: ${checkpoint.request}`);
+        return true;
+    }
+
+    redoCheckpoint(force = false) {
+        const index = this.loadCheckpointIndex();
+        const id = index.undone[index.undone.length - 1];
+        const checkpoint = id !== undefined && this.loadCheckpoint(id);
+        if (!checkpoint) {
+            console.log('ℹ️ Nothing to redo.');
+            return false;
+        }
+
+        if (!this.restoreCheckpointFiles(checkpoint, 'after', force)) return false;
+
+        index.undone.pop();
+        index.applied.push(id);
+        this.saveCheckpointIndex(index);
+        console.log(`⏩ Redid checkpoint ${id}: ${checkpoint.request}`);
+        return true;
+    }
+
+    // Roll back to the state before checkpoint `id` by undoing it and everything after it
+    restoreCheckpoint(id, force = false) {
+        if (!this.loadCheckpointIndex().applied.includes(id)) {
+            console.log(`❌ No applied checkpoint with id ${id}. See /checkpoints.`);
+            return false;
+        }
+
+        while (this.loadCheckpointIndex().applied.includes(id)) {
+            if (!this.undoCheckpoint(force)) return false;
+        }
+        return true;
+    }
+
+    showCheckpoints() {
+        const index = this.loadCheckpointIndex();
+        if (index.applied.length === 0 && index.undone.length === 0) {
+            console.log('ℹ️ No checkpoints for this project yet.');
+            return;
+        }
+
+        console.log(`\n💾 Checkpoints (${this.getCheckpointDir()}):`);
+        const rows = [
+            ...index.applied.map(id => ({ id, undone: false })),
+            ...index.undone.slice().reverse().map(id => ({ id, undone: true }))
+        ];
+        for (const row of rows) {
+            const checkpoint = this.loadCheckpoint(row.id);
+            if (!checkpoint) continue;
+            const when = new Date(checkpoint.createdAt).toLocaleString();
+            const letters = { created: 'A', modified: 'M', deleted: 'D' };
+            const files = checkpoint.files.map(file => `${letters[file.status]} ${file.path}`).join(', ');
+            console.log(`  ${String(row.id).padStart(3)}${row.undone ? ' (undone)' : ''}  ${when}  ${checkpoint.request}`);
+            console.log(colors.dim(`       ${files}`));
+        }
+        console.log('');
+    }
+
+    getIgnoreMatcher() {
+        return new IgnoreMatcher(this.currentDirectory, this.gitIgnorePatterns);
+    }
+
+    // Pass the same matcher when checking many paths so ignore files are only read once
+    shouldIgnoreFile(filePath, matcher = this.getIgnoreMatcher(), isDirectory = null) {
+        return matcher.isIgnored(filePath, isDirectory);
+    }
+
+    getDirectoryStructure(options = {}) {
+        const { maxDepth = 3, showFiles = true, showHidden = false, root = this.currentDirectory } = options;
+        const matcher = this.getIgnoreMatcher();
+        
+        const buildTree = (dir, depth = 0, prefix = '') => {
+            if (depth > maxDepth) return '';
+            
+            let result = '';
+            try {
+                let items = fs.readdirSync(dir);
+                
+                if (!showHidden) {
+                    items = items.filter(item => !item.startsWith('.'));
+                }
+                
+                items = items.filter(item => {
+                    const itemPath = path.join(dir, item);
+                    return !this.shouldIgnoreFile(itemPath, matcher);
+                }).sort();
+                
+                for (let i = 0; i < items.length; i++) {
+                    const item = items[i];
+                    const itemPath = path.join(dir, item);
+                    const isLast = i === items.length - 1;
+                    const currentPrefix = prefix + (isLast ? '└── ' : '├── ');
+                    const stat = fs.statSync(itemPath);
+                    
+                    if (stat.isDirectory()) {
+                        result += currentPrefix + item + '/\n';
+                        if (depth < maxDepth) {
+                            const nextPrefix = prefix + (isLast ? '    ' : '│   ');
+                            result += buildTree(itemPath, depth + 1, nextPrefix);
+                        }
+                    } else if (showFiles) {
+                        const size = stat.size > 1024 ? `${Math.round(stat.size / 1024)}KB` : `${stat.size}B`;
+                        result += currentPrefix + item + ` (${size})\n`;
+                    }
+                }
+            } catch (error) {
+                result += prefix + `Error reading directory: ${error.message}\n`;
+            }
+            
+            return result;
+        };
+
+        return buildTree(root);
+    }
+
+    // Files with uncommitted changes, relative to the project directory
+    getChangedFiles() {
+        const changed = new Set();
+        const top = this.runGit(['rev-parse', '--show-toplevel']);
+        if (!top.ok) return changed;
+
+        const status = this.runGit(['status', '--porcelain', '-z', '--untracked-files=all']);
+        const entries = status.stdout.split('\0');
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (entry.length < 4) continue;
+            changed.add(path.relative(this.currentDirectory, path.join(top.stdout.trim(), entry.slice(3))));
+            // Renames are followed by their original path
+            if (/^[RC]/.test(entry)) i++;
+        }
+        return changed;
+    }
+
+    // The project's search index, refreshed against the files on disk
+    getCodeIndex() {
+        const indexFile = path.join(this.configDir, 'index', `${this.getProjectHash()}.json`);
+        if (!this.codeIndex || this.codeIndex.indexFile !== indexFile) {
+            this.codeIndex = new CodeIndex(indexFile);
+        }
+
+        const files = this.listProjectFiles({ maxFiles: 20000 })
+            .filter(file => CONTEXT_MANIFESTS.includes(file) || this.fileExtensions.includes(path.extname(file).toLowerCase()));
+        const changes = this.codeIndex.refresh(this.currentDirectory, files);
+        if (changes.added || changes.updated || changes.removed) {
+            try {
+                this.codeIndex.save();
+            } catch (error) {
+                console.warn(`Warning: Could not save search index: ${error.message}`);
+            }
+        }
+        return this.codeIndex;
+    }
+
+    showSearch(query) {
+        const index = this.getCodeIndex();
+        const terms = [...new Set(tokenizeForIndex(query))];
+
+        const definitions = (query.match(/[A-Za-z_$][\w$]*/g) || []).flatMap(name => index.findSymbols(name));
+        if (definitions.length > 0) {
+            console.log('\n🏷️  Definitions:');
+            for (const symbol of definitions.slice(0, 10)) {
+                console.log(`  ${symbol.path}:${symbol.line}  ${symbol.kind} ${symbol.name}`);
+            }
+        }
+
+        const results = index.search(query, { limit: 10 });
+        if (results.length === 0) {
+            console.log(definitions.length > 0 ? '' : `No matches for "${query}" (${Object.keys(index.files).length} files indexed)`);
+            return;
+        }
+
+        console.log(`\n🔎 Results for "${query}":`);
+        for (const result of results) {
+            const symbols = result.symbols.length > 0 ? `  [${result.symbols.slice(0, 4).join(', ')}]` : '';
+            console.log(`\n  ${result.path}:${result.start}-${result.end}  ${colors.dim(`score ${result.score.toFixed(2)}`)}${symbols}`);
+
+            // Show the first few lines of the chunk that contain a query term
+            const lines = (this.readFile(result.path, { showOutput: false }) || '').split('\n').slice(result.start - 1, result.end);
+            const shown = lines
+                .map((line, i) => ({ line, number: result.start + i }))
+                .filter(({ line }) => tokenizeForIndex(line).some(term => terms.includes(term)))
+                .slice(0, 3);
+            for (const { line, number } of shown) {
+                console.log(colors.dim(`    ${String(number).padStart(5)}: ${line.trim().slice(0, 120)}`));
+            }
+        }
+        console.log('');
+    }
+
+    // Score project files against a request: files it names, path keywords, search index matches,
+    // uncommitted changes and recent edits. Returns [{ path, score, reasons, snippets }] best first.
+    rankContextFiles(request = '') {
+        const text = request.toLowerCase();
+        const keywords = [...new Set(text.split(/[^a-z0-9_]+/)
+            .filter(word => word.length >= 3 && !CONTEXT_STOPWORDS.has(word)))];
+        const changed = this.getChangedFiles();
+        const now = Date.now();
+
+        // Best-matching chunks per file from the search index
+        const snippets = new Map();
+        for (const hit of (keywords.length > 0 ? this.getCodeIndex().search(request, { limit: 50 }) : [])) {
+            if (!snippets.has(hit.path)) snippets.set(hit.path, []);
+            snippets.get(hit.path).push(hit);
+        }
+
+        const ranked = [];
+        for (const file of this.listProjectFiles()) {
+            const isManifest = CONTEXT_MANIFESTS.includes(file);
+            if (!isManifest && !this.fileExtensions.includes(path.extname(file).toLowerCase())) continue;
+
+            let stat;
+            try {
+                stat = fs.statSync(path.join(this.currentDirectory, file));
+            } catch (error) {
+                continue;
+            }
+
+            let score = 0;
+            const reasons = [];
+            const lowerPath = file.toLowerCase().split(path.sep).join('/');
+            const basename = path.basename(lowerPath);
+
+            if (text.includes(lowerPath) || (basename.includes('.') && new RegExp(`(^|[^\\w.])${basename.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(text))) {
+                score += 10;
+                reasons.push('mentioned');
+            }
+
+            const pathHits = keywords.filter(word => lowerPath.includes(word));
+            if (pathHits.length > 0) {
+                score += 3 * pathHits.length;
+                reasons.push(`path: ${pathHits.join(', ')}`);
+            }
+
+            const hits = snippets.get(file) || [];
+            if (hits.length > 0) {
+                score += Math.min(8, hits[0].score);
+                const symbols = [...new Set(hits.flatMap(hit => hit.symbols))];
+                reasons.push(symbols.length > 0 ? `matches near ${symbols.slice(0, 3).join(', ')}` : 'content matches');
+            }
+
+            if (changed.has(file)) {
+                score += 4;
+                reasons.push('uncommitted changes');
+            }
+
+            const ageHours = (now - stat.mtimeMs) / 3600000;
+            if (ageHours < 24) {
+                score += 2 * (1 - ageHours / 24);
+                reasons.push('recently modified');
+            }
+
+            if (isManifest) {
+                score += 1;
+                reasons.push('project manifest');
+            }
+
+            if (score > 0) {
+                ranked.push({ path: file, score, reasons, size: stat.size, snippets: hits });
+            }
+        }
+
+        return ranked.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+    }
+
+    // Build the context sent with a request, packing the most relevant files into the token budget.
+    // What went in is kept in this.lastContext for /context and /status.
+    getProjectContext(request = '') {
+        const budget = this.contextTokens;
+        const context = [];
+        
+        // Add current directory and structure, limited to a share of the budget
+        context.push(`Current directory: ${this.currentDirectory}`);
+        let tree = this.getDirectoryStructure({ maxDepth: 2 });
+        const treeLimit = Math.floor(budget * 0.15) * 4;
+        if (tree.length > treeLimit) {
+            tree = tree.slice(0, tree.lastIndexOf('\n', treeLimit) + 1) + '...\n';
+        }
+        context.push(`Directory structure:\n${tree}`);
+
+        // Branch, status and the uncommitted diff, also limited to a share of the budget
+        const git = this.getGitContext(Math.floor(budget * 0.2));
+        const gitTokens = git ? estimateTokens(git) : 0;
+        if (git) context.push(git);
+        let used = estimateTokens(context.join('\n\n'));
+
+        const included = [];
+        const skipped = [];
+        for (const file of this.rankContextFiles(request)) {
+            const remaining = budget - used;
+            if (file.size > CONTEXT_MAX_FILE_SIZE || remaining < 100) {
+                skipped.push(file);
+                continue;
+            }
+
+            const content = this.readFile(file.path, { showOutput: false });
+            if (content === null || content.includes('\0')) continue;
+
+            let section = `File: ${file.path}\n\`\`\`\n${content.replace(/\n$/, '')}\n\`\`\``;
+            let truncated = false;
+            if (estimateTokens(section) > remaining) {
+                // Only cut a file short if a useful chunk of it still fits
+                if (remaining < 500) {
+                    skipped.push(file);
+                    continue;
+                }
+                section = this.buildSnippetSection(file, content, remaining);
+                truncated = true;
+            }
+
+            context.push(section);
+            const tokens = estimateTokens(section);
+            used += tokens;
+            included.push({ ...file, tokens, truncated });
+        }
+        
+        this.lastContext = { request, budget, tokens: used, files: included, skipped, git: gitTokens };
+        return context.join('\n\n');
+    }
+
+    // Fit a file that's too big for the remaining budget: its best-matching chunks if the
+    // search index found any, otherwise its beginning
+    buildSnippetSection(file, content, budget) {
+        const lines = content.split('\n');
+        const header = `File: ${file.path} (excerpts)`;
+        let used = estimateTokens(header) + 10;
+        const picked = [];
+        for (const hit of file.snippets || []) {
+            const tokens = estimateTokens(lines.slice(hit.start - 1, hit.end).join('\n')) + 10;
+            if (used + tokens > budget) continue;
+            picked.push(hit);
+            used += tokens;
+        }
+
+        if (picked.length === 0) {
+            const cut = content.slice(0, (budget - 50) * 4);
+            return `File: ${file.path} (truncated)\n\`\`\`\n${cut.slice(0, cut.lastIndexOf('\n') + 1)}...\n\`\`\``;
+        }
+
+        const excerpts = picked
+            .sort((a, b) => a.start - b.start)
+            .map(hit => `Lines ${hit.start}-${hit.end}:\n\`\`\`\n${lines.slice(hit.start - 1, hit.end).join('\n')}\n\`\`\``);
+        return `${header}\n${excerpts.join('\n')}`;
+    }
+
+    showContext(request = null) {
+        if (request) {
+            this.getProjectContext(request);
+        }
+        const info = this.lastContext;
+        if (!info) {
+            console.log('No context has been built yet. Use /context <request> to preview one.');
+            return;
+        }
+
+        console.log(`\n📚 Context for "${info.request.slice(0, 60)}${info.request.length > 60 ? '...' : ''}"`);
+        console.log(`  ~${info.tokens} of ${info.budget} tokens, ${info.files.length} files${info.git ? `, git status and diff ~${info.git} tokens` : ''}\n`);
+        for (const file of info.files) {
+            console.log(`  ${file.path}${file.truncated ? ' (truncated)' : ''}  ~${file.tokens} tokens`);
+            console.log(colors.dim(`      ${file.reasons.join('; ')}`));
+        }
+        if (info.skipped.length > 0) {
+            console.log(colors.dim(`\n  Left out for space: ${info.skipped.slice(0, 10).map(file => file.path).join(', ')}${info.skipped.length > 10 ? ', ...' : ''}`));
+        }
+        console.log('');
+    }
+
+    extractCodeBlocks(text) {
+        const codeBlocks = [];
+        const regex = /```(\w+)?\s*\n([\s\S]*?)\n```/g;
+        let match;
+        
+        while ((match = regex.exec(text)) !== null) {
+            const language = match[1] || 'text';
+            const content = match[2];
+            codeBlocks.push({ language, content: content.trim() });
+        }
+        
+        return codeBlocks;
+    }
+
+    extractCommands(text) {
+        const commands = [];
+        
+        // Extract from bash/shell code blocks
+        const codeBlocks = this.extractCodeBlocks(text);
+        codeBlocks.forEach(block => {
+            if (['bash', 'shell', 'sh', 'zsh'].includes(block.language.toLowerCase())) {
+                const lines = block.content.split('\n');
+                lines.forEach(line => {
+                    line = line.trim();
+                    if (line && !line.startsWith('#') && !line.startsWith('//') && !line.includes('EOF') && line !== 'EOF') {
+                        commands.push(line);
+                    }
+                });
+            }
+        });
+        
+        return commands;
+    }
+
+    extractFiles(text) {
+        const files = [];
+        
+        // Extract files from code blocks with comment indicators
+        const codeBlocks = this.extractCodeBlocks(text);
+        
+        codeBlocks.forEach((block, index) => {
+            let filename = null;
+            let content = block.content;
+            
+            // Targeted edits are applied by applyEditBlocks, not written as whole files
+            if (['diff', 'patch'].includes(block.language.toLowerCase()) || /^<{5,9} SEARCH\s*$/m.test(content)) {
+                return;
+            }
+            
+            // Look for filename in comment on first line
+            const lines = content.split('\n');
+            const firstLine = lines[0].trim();
+            
+            // Check for various comment patterns
+            if (firstLine.startsWith('//') && firstLine.includes('.')) {
+                filename = firstLine.replace('//', '').trim();
+                content = lines.slice(1).join('\n').trim();
+            } else if (firstLine.startsWith('#') && firstLine.includes('.')) {
+                filename = firstLine.replace('#', '').trim();
+                content = lines.slice(1).join('\n').trim();
+            } else if (firstLine.startsWith('/*') && firstLine.includes('.')) {
+                filename = firstLine.replace('/*', '').replace('*/', '').trim();
+                content = lines.slice(1).join('\n').trim();
+            }
+            
+            // Also look for patterns before code blocks in the surrounding text
+            if (!filename) {
+                const beforeBlock = text.substring(0, text.indexOf('```' + block.language));
+                const filenamePatterns = [
+                    /(?:create|save|write|update)\s+(?:file\s+)?[`"']?([^`"'\s\n]+\.[a-zA-Z]+)[`"']?/i,
+                    /(?:file\s*:)\s*[`"']?([^`"'\s\n]+\.[a-zA-Z]+)[`"']?/i,
+                    /([a-zA-Z0-9_-]+\.[a-zA-Z]+)(?:\s*:|\s*-|\s*file)/i
+                ];
+                
+                for (const pattern of filenamePatterns) {
+                    const beforeLines = beforeBlock.split('\n').slice(-3); // Check last 3 lines
+                    for (const line of beforeLines.reverse()) {
+                        const match = line.match(pattern);
+                        if (match && match[1]) {
+                            filename = match[1].trim();
+                            break;
+                        }
+                    }
+                    if (filename) break;
+                }
+            }
+            
+            // If still no filename, try to infer from content and language
+            if (!filename && content.trim()) {
+                const ext = this.getExtensionFromLanguage(block.language);
+                if (ext) {
+                    // Try to find a meaningful name from content
+                    if (block.language === 'json' && content.includes('"name"')) {
+                        filename = 'package.json';
+                    } else if (content.includes('app.listen') || content.includes('express()')) {
+                        filename = `server${ext}`;
+                    } else if (content.includes('module.exports') || content.includes('export')) {
+                        filename = `index${ext}`;
+                    } else {
+                        filename = `file${index}${ext}`;
+                    }
+                }
+            }
+            
+            if (filename && content.trim()) {
+                files.push({ 
+                    filename: filename.replace(/[<>:"|?*]/g, ''), // Clean filename
+                    content, 
+                    language: block.language 
+                });
+            }
+        });
+        
+        return files;
+    }
+
+    getExtensionFromLanguage(language) {
+        const langMap = {
+            'javascript': '.js',
+            'js': '.js',
+            'typescript': '.ts',
+            'ts': '.ts',
+            'python': '.py',
+            'py': '.py',
+            'java': '.java',
+            'cpp': '.cpp',
+            'c': '.c',
+            'html': '.html',
+            'css': '.css',
+            'json': '.json',
+            'yaml': '.yml',
+            'yml': '.yml',
+            'xml': '.xml',
+            'shell': '.sh',
+            'bash': '.sh',
+            'sh': '.sh'
+        };
+        
+        return langMap[language.toLowerCase()] || null;
+    }
+
+    async autoExecuteResponse(response) {
+        console.log('\n🔍 Analyzing response for auto-execution...\n');
+        
+        let hasChanges = false;
+        
+        // Apply targeted edits to existing files first
+        const edits = parseEditBlocks(response);
+        const { applied, failedEdits } = await this.applyEditBlocks(edits);
+        hasChanges = applied > 0;
+        
+        // Then extract and create whole files
+        const files = this.extractFiles(response);
+        for (const file of files) {
+            if (file.content) {
+                const result = await this.proposeFileChange(file.filename, file.content);
+                hasChanges = hasChanges || result.applied;
+            }
+        }
+        
+        // Then extract and execute commands
+        const commands = this.extractCommands(response);
+        const runs = [];
+        for (const command of commands) {
+            // Check the command policy and ask for approval
+            if (!(await this.authorizeCommand(command)).approved) {
+                continue;
+            }
+            
+            hasChanges = true;
+            
+            if (command.includes('cd ')) {
+                // Handle directory changes
+                const newDir = command.replace(/cd\s+/, '').trim().replace(/^['"]|['"]$/g, '');
+                const fullPath = path.resolve(this.currentDirectory, newDir);
+                
+                if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+                    this.currentDirectory = fullPath;
+                    process.chdir(fullPath);
+                    console.log(`📂 Changed directory to: ${fullPath}`);
+                } else {
+                    console.log(`❌ Directory not found: ${newDir}`);
+                }
+            } else {
+                // Determine if command needs interactive mode
+                const interactiveCommands = ['npm install', 'yarn install', 'pip install', 'cargo build', 'mvn install'];
+                const isInteractive = interactiveCommands.some(cmd => command.includes(cmd));
+                
+                const result = await this.executeCommand(command, { 
+                    interactive: isInteractive,
+                    sandbox: true,
+                    timeout: isInteractive ? 120000 : 30000 // 2 minutes for installs, 30s for others
+                });
+                runs.push({ command, result });
+            }
+            
+            // Small delay between commands
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+        
+        // Show final directory structure if there were changes
+        if (hasChanges) {
+            console.log('\n📋 Updated directory structure:');
+            console.log(this.getDirectoryStructure());
+        } else if (edits.length === 0) {
+            console.log('ℹ️ No executable commands or files found in response.');
+        }
+        
+        // Let the model see what its commands printed
+        this.recordCommandResults(runs);
+        return { failedEdits, failedCommands: runs.filter(({ result }) => !result.success) };
+    }
+
+    // Apply parsed SEARCH/REPLACE or diff edits file by file, then propose each result for approval
+    async applyEditBlocks(edits) {
+        const failedEdits = [];
+        let applied = 0;
+        const byFile = new Map();
+
+        for (const edit of edits) {
+            if (!byFile.has(edit.filename)) byFile.set(edit.filename, []);
+            byFile.get(edit.filename).push(edit);
+        }
+
+        for (const [filename, fileEdits] of byFile) {
+            let fullPath;
+            try {
+                fullPath = this.resolveProjectPath(filename);
+            } catch (error) {
+                fileEdits.forEach(edit => failedEdits.push({ ...edit, error: error.message }));
+                console.log(`❌ ${error.message}`);
+                continue;
+            }
+
+            let content = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : '';
+            let changed = false;
+            let deleteFile = false;
+
+            for (const edit of fileEdits) {
+                if (edit.deleteFile) {
+                    deleteFile = true;
+                    continue;
+                }
+
+                const result = applyEdit(content, edit.search, edit.replace, { line: edit.line });
+                if (result.error) {
+                    failedEdits.push({ ...edit, error: result.error });
+                    console.log(`❌ Could not apply edit to ${filename}: ${result.error}`);
+                    continue;
+                }
+
+                content = result.content;
+                changed = true;
+                if (result.method === 'fuzzy') {
+                    console.log(`✏️ Matched edit to ${filename} approximately (${Math.round(result.score * 100)}% similar)`);
+                } else if (result.method === 'whitespace') {
+                    console.log(`✏️ Matched edit to ${filename} ignoring whitespace`);
+                }
+            }
+
+            if (deleteFile) {
+                const result = await this.proposeFileDeletion(filename);
+                if (result.applied) applied++;
+            } else if (changed) {
+                const result = await this.proposeFileChange(filename, content);
+                if (result.applied) applied++;
+            }
+        }
+
+        return { applied, failedEdits };
+    }
+
+    buildEditRetryPrompt(failedEdits) {
+        const sections = failedEdits.map((edit, index) => {
+            let current = '';
+            try {
+                const content = this.readFile(this.resolveProjectPath(edit.filename), { showOutput: false });
+                current = content === null
+                    ? `${edit.filename} does not exist.`
+                    : `Current content of ${edit.filename}:\n\`\`\`\n${this.truncateOutput(content, 12000)}\n\`\`\``;
+            } catch (error) {
+                current = error.message;
+            }
+            return `${index + 1}. ${edit.filename}: ${edit.error}\nSEARCH was:\n\`\`\`\n${edit.search}\n\`\`\`\n${current}`;
+        });
+
+        return `These edits from your last reply could not be applied:\n\n${sections.join('\n\n')}\n\n` +
+            'Reply with corrected SEARCH/REPLACE blocks for only these edits. ' +
+            'Each SEARCH section must copy the current file content exactly. The other changes were already applied.';
+    }
+
+    shouldSkipCommand(command) {
+        return this.getCommandPolicy().evaluate(command).decision === 'deny';
+    }
+
+    getCommandPolicy() {
+        const policy = new CommandPolicy(this.sandbox, this.currentDirectory);
+        policy.networkEnforced = this.getIsolation() !== 'none';
+        return policy;
+    }
+
+    // Which isolation the sandbox can use here: bwrap (filesystem + network), unshare (network only) or none
+    getIsolation() {
+        const wanted = this.sandbox.isolation || 'auto';
+        if (wanted === 'none' || process.platform !== 'linux') return 'none';
+
+        if (this.isolationSupport === undefined) {
+            const works = (file, args) => spawnSync(file, args, { stdio: 'ignore', timeout: 5000 }).status === 0;
+            this.isolationSupport = {
+                bwrap: works('bwrap', ['--ro-bind', '/', '/', '--dev', '/dev', '--unshare-net', 'true']),
+                unshare: works('unshare', ['--user', '--map-root-user', '--net', 'true'])
+            };
+        }
+
+        if ((wanted === 'auto' || wanted === 'bwrap') && this.isolationSupport.bwrap) return 'bwrap';
+        if ((wanted === 'auto' || wanted === 'unshare') && this.isolationSupport.unshare) return 'unshare';
+        return 'none';
+    }
+
+    // Environment for sandboxed commands, without API keys and other secrets
+    getSandboxEnv() {
+        const passthrough = new Set(this.sandbox.envPassthrough || []);
+        const providerKeys = new Set(Object.values(PROVIDERS).map(ProviderClass => ProviderClass.apiKeyEnv));
+        for (const settings of Object.values(this.providerSettings)) {
+            if (settings.apiKeyEnv) providerKeys.add(settings.apiKeyEnv);
+        }
+
+        const env = {};
+        for (const [key, value] of Object.entries(process.env)) {
+            if (passthrough.has(key) || (!providerKeys.has(key) && !SECRET_ENV_PATTERN.test(key))) {
+                env[key] = value;
+            }
+        }
+        return env;
+    }
+
+    // Build the program and arguments that run `command` inside the sandbox
+    getSandboxInvocation(command) {
+        const isolation = this.getIsolation();
+        const network = this.sandbox.network !== false;
+        const env = this.getSandboxEnv();
+
+        if (isolation === 'none' && this.sandbox.required) {
+            return { error: 'The sandbox is required by policy but neither bwrap nor unshare is usable here' };
+        }
+
+        if (isolation === 'bwrap') {
+            const args = ['--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp'];
+            const writable = [this.currentDirectory, ...(this.sandbox.writable || []).map(dir => dir.replace(/^~(?=\/|$)/, os.homedir()))];
+            for (const dir of writable) {
+                if (fs.existsSync(dir)) args.push('--bind', dir, dir);
+            }
+            if (!network) args.push('--unshare-net');
+            args.push('--die-with-parent', '--chdir', this.currentDirectory, '/bin/sh', '-c', command);
+            return { file: 'bwrap', args, env, description: `bwrap, writes limited to project${network ? '' : ', no network'}` };
+        }
+
+        if (isolation === 'unshare' && !network) {
+            return {
+                file: 'unshare',
+                args: ['--user', '--map-root-user', '--net', '/bin/sh', '-c', command],
+                env,
+                description: 'unshare, no network'
+            };
+        }
+
+        return { file: '/bin/sh', args: ['-c', command], env, description: 'scrubbed environment' };
+    }
+
+    // Policy check plus approval for a command the model wants to run. Returns { approved, reason }
+    async authorizeCommand(command) {
+        const approval = await this.checkCommand(command);
+        if (!approval.approved) {
+            this.emitEvent('command', { command, ran: false, reason: approval.reason });
+        }
+        return approval;
+    }
+
+    async checkCommand(command) {
+        const { decision, reason } = this.getCommandPolicy().evaluate(command);
+
+        if (decision === 'deny') {
+            console.log(`🚫 Blocked by command policy: ${command} (${reason})`);
+            return { approved: false, reason: `blocked by the command policy: ${reason}` };
+        }
+        if (decision === 'allow' && this.approvalMode !== 'never') {
+            return { approved: true };
+        }
+        if (decision === 'ask') {
+            console.log(`⚠️ Needs confirmation: ${reason}`);
+        }
+        return this.confirmCommand(command, { force: decision === 'ask' });
+    }
+
+    showPolicy(command = null) {
+        if (command) {
+            const { decision, reason } = this.getCommandPolicy().evaluate(command);
+            const labels = { allow: '✅ allow', ask: '❓ ask', deny: '🚫 deny', default: `➡️ ${this.approvalMode} (approval mode)` };
+            console.log(`${labels[decision]}: ${reason}`);
+            return;
+        }
+
+        const isolation = this.getIsolation();
+        console.log(`
+🔒 Command Policy:
+  Allow: ${(this.sandbox.allow || []).join(', ') || 'none'}
+  Deny: ${(this.sandbox.deny || []).join(', ') || 'none'}
+  Unmatched Commands: ${this.sandbox.default || 'approval mode'}
+  Isolation: ${isolation}${isolation !== 'bwrap' && process.platform === 'linux' ? ' (install bubblewrap to also isolate the filesystem)' : ''}
+  Network: ${this.sandbox.network === false ? 'disabled' : 'enabled'}
+  Writable: ${[this.currentDirectory, ...(this.sandbox.writable || [])].join(', ')}
+`);
+    }
+
+    resolveProjectPath(filePath) {
+        const fullPath = path.resolve(this.currentDirectory, filePath || '.');
+        const relative = path.relative(this.currentDirectory, fullPath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            throw new Error(`Path is outside the project directory: ${filePath}`);
+        }
+        return fullPath;
+    }
+
+    // Walk the project and return relative paths of files that aren't ignored
+    listProjectFiles(options = {}) {
+        const { root = this.currentDirectory, maxFiles = 5000 } = options;
+        const files = [];
+        const matcher = this.getIgnoreMatcher();
+
+        const walk = (dir) => {
+            let items;
+            try {
+                items = fs.readdirSync(dir, { withFileTypes: true });
+            } catch (error) {
+                return;
+            }
+
+            for (const item of items) {
+                if (files.length >= maxFiles) return;
+                const itemPath = path.join(dir, item.name);
+                if (item.name.startsWith('.') || this.shouldIgnoreFile(itemPath, matcher, item.isDirectory())) continue;
+
+                if (item.isDirectory()) {
+                    walk(itemPath);
+                } else if (item.isFile()) {
+                    files.push(path.relative(this.currentDirectory, itemPath));
+                }
+            }
+        };
+
+        walk(root);
+        return files.sort();
+    }
+
+    // Resolve @file, @dir/ and @glob references against the project. Returns the matching
+    // files, or null when the mention doesn't name anything (e.g. an email or a decorator).
+    resolveMention(mention) {
+        let fullPath;
+        try {
+            fullPath = this.resolveProjectPath(mention);
+        } catch (error) {
             return null;
         }
+
+        if (/[*?[]/.test(mention)) {
+            const rule = parseIgnorePattern(mention);
+            const files = rule ? this.listProjectFiles().filter(file => rule.regex.test(file.split(path.sep).join('/'))) : [];
+            return files.length > 0 ? files : null;
+        }
+        if (!fs.existsSync(fullPath)) return null;
+        if (fs.statSync(fullPath).isDirectory()) {
+            return this.listProjectFiles({ root: fullPath });
+        }
+        return [path.relative(this.currentDirectory, fullPath)];
+    }
+
+    // Inline the files named by @mentions in a prompt, numbered like read_file output.
+    // The mention itself is left in place so the prompt still reads naturally.
+    expandMentions(text) {
+        const files = [];
+        const mentions = new Set();
+        const pattern = /(^|\s)@([^\s@]+)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            // Trailing punctuation belongs to the sentence, not the path
+            const mention = match[2].replace(/[,;:!?)'"]+$|\.+$/, '');
+            const resolved = mention ? this.resolveMention(mention) : null;
+            if (!resolved) continue;
+            mentions.add(mention);
+            resolved.forEach(file => files.includes(file) || files.push(file));
+        }
+        if (files.length === 0) return { text, files: [], skipped: [], attachments: [] };
+
+        const sections = [];
+        const skipped = [];
+        const attachments = [];
+        let total = 0;
+        for (const file of files) {
+            if (ATTACHMENT_TYPES[path.extname(file).toLowerCase()]) {
+                try {
+                    attachments.push(this.createAttachment(file));
+                } catch (error) {
+                    skipped.push({ path: file, reason: error.message });
+                }
+                continue;
+            }
+
+            const content = this.readFile(file, { showOutput: false });
+            if (content === null || content.includes('\0')) {
+                skipped.push({ path: file, reason: 'binary or unreadable' });
+                continue;
+            }
+            if (sections.length >= MENTION_MAX_FILES || total + Math.min(content.length, MENTION_MAX_FILE_CHARS) > MENTION_MAX_CHARS) {
+                skipped.push({ path: file, reason: 'over the size limit' });
+                continue;
+            }
+
+            const lines = content.replace(/\n$/, '').split('\n');
+            const numbered = this.truncateOutput(lines.map((line, i) => `${String(i + 1).padStart(5)} | ${line}`).join('\n'), MENTION_MAX_FILE_CHARS);
+            total += numbered.length;
+            sections.push({ path: file, lines: lines.length, text: `${file}:\n\`\`\`\n${numbered}\n\`\`\`` });
+        }
+
+        const notes = skipped.length > 0 ? `\n\nNot attached: ${skipped.map(file => `${file.path} (${file.reason})`).join(', ')}` : '';
+        return {
+            text: sections.length > 0 || skipped.length > 0 ? `${text}\n\nReferenced files:\n\n${sections.map(section => section.text).join('\n\n')}${notes}` : text,
+            files: sections.map(section => ({ path: section.path, lines: section.lines })),
+            skipped,
+            attachments
+        };
+    }
+
+    // An attachment is kept in the conversation as a reference to the file; the content is
+    // read and encoded each time it is sent, so sessions stay small
+    createAttachment(filePath) {
+        const fullPath = path.resolve(this.currentDirectory, filePath.replace(/^~(?=$|\/)/, os.homedir()));
+        const mimeType = ATTACHMENT_TYPES[path.extname(fullPath).toLowerCase()];
+        if (!mimeType) {
+            throw new Error(`unsupported file type (use ${Object.keys(ATTACHMENT_TYPES).join(', ')})`);
+        }
+        if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isFile()) {
+            throw new Error('file not found');
+        }
+        const size = fs.statSync(fullPath).size;
+        if (size > ATTACHMENT_MAX_BYTES) {
+            throw new Error(`${formatBytes(size)} is over the ${formatBytes(ATTACHMENT_MAX_BYTES)} limit`);
+        }
+        return { path: fullPath, name: path.basename(fullPath), mimeType, size };
     }
 
-    shouldIgnoreFile(filePath) {
-        const basename = path.basename(filePath);
-        const relativePath = path.relative(this.currentDirectory, filePath);
-        
-        return this.gitIgnorePatterns.some(pattern => {
-            if (pattern.startsWith('*')) {
-                return basename.endsWith(pattern.slice(1));
-            }
-            if (pattern.endsWith('*')) {
-                return basename.startsWith(pattern.slice(0, -1));
-            }
-            return basename === pattern || relativePath.includes(pattern);
+    // Only the message that starts the current turn sends its files. Earlier ones become a note,
+    // so a conversation with several large files stays under the inline limit.
+    loadAttachments(messages) {
+        if (!messages.some(message => message.attachments)) return messages;
+        const current = messages.map(message => message.role).lastIndexOf('user');
+        return messages.map((message, index) => {
+            if (!message.attachments) return message;
+            return {
+                ...message,
+                attachments: message.attachments.map(attachment => {
+                    if (index !== current) return attachment;
+                    try {
+                        return { ...attachment, data: fs.readFileSync(attachment.path).toString('base64') };
+                    } catch (error) {
+                        return { ...attachment, missing: true };
+                    }
+                })
+            };
         });
     }
 
-    getDirectoryStructure(options = {}) {
-        const { maxDepth = 3, showFiles = true, showHidden = false } = options;
-        
-        const buildTree = (dir, depth = 0, prefix = '') => {
-            if (depth > maxDepth) return '';
-            
-            let result = '';
+    // Image and PDF paths pasted into a prompt (dragging a file into most terminals pastes
+    // its path, quoted or with escaped spaces). Unlike @mentions these may be outside the project.
+    findPastedAttachments(text) {
+        const attachments = [];
+        const pattern = /'([^']+)'|"([^"]+)"|((?:[^\s'"\\]|\\.)+)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const candidate = match[1] || match[2] || match[3].replace(/\\(.)/g, '$1');
+            if (candidate.startsWith('@') || !ATTACHMENT_TYPES[path.extname(candidate).toLowerCase()]) continue;
             try {
-                let items = fs.readdirSync(dir);
-                
-                if (!showHidden) {
-                    items = items.filter(item => !item.startsWith('.'));
-                }
-                
-                items = items.filter(item => {
-                    const itemPath = path.join(dir, item);
-                    return !this.shouldIgnoreFile(itemPath);
-                }).sort();
-                
-                for (let i = 0; i < items.length; i++) {
-                    const item = items[i];
-                    const itemPath = path.join(dir, item);
-                    const isLast = i === items.length - 1;
-                    const currentPrefix = prefix + (isLast ? '└── ' : '├── ');
-                    const stat = fs.statSync(itemPath);
-                    
-                    if (stat.isDirectory()) {
-                        result += currentPrefix + item + '/\n';
-                        if (depth < maxDepth) {
-                            const nextPrefix = prefix + (isLast ? '    ' : '│   ');
-                            result += buildTree(itemPath, depth + 1, nextPrefix);
-                        }
-                    } else if (showFiles) {
-                        const size = stat.size > 1024 ? `${Math.round(stat.size / 1024)}KB` : `${stat.size}B`;
-                        result += currentPrefix + item + ` (${size})\n`;
-                    }
-                }
+                attachments.push(this.createAttachment(candidate.replace(/^file:\/\//, '')));
             } catch (error) {
-                result += prefix + `Error reading directory: ${error.message}\n`;
+                // Not a file after all
             }
-            
-            return result;
-        };
+        }
+        return attachments;
+    }
 
-        return buildTree(this.currentDirectory);
+    handleAttachCommand(args) {
+        if (args === 'clear') {
+            this.pendingAttachments = [];
+            console.log('📎 Cleared pending attachments.');
+            return;
+        }
+        if (args) {
+            try {
+                const attachment = this.createAttachment(args.replace(/^['"]|['"]$/g, '').replace(/\\(.)/g, '$1'));
+                this.pendingAttachments.push(attachment);
+                console.log(`📎 ${attachment.name} (${attachment.mimeType}, ${formatBytes(attachment.size)}) will be sent with your next request`);
+            } catch (error) {
+                console.log(`❌ Cannot attach ${args}: ${error.message}`);
+            }
+            return;
+        }
+        if (this.pendingAttachments.length === 0) {
+            console.log('No pending attachments. Use /attach <file> to add an image or PDF.');
+            return;
+        }
+        console.log('📎 Pending attachments:');
+        this.pendingAttachments.forEach(attachment => console.log(`  ${attachment.path}  ${colors.dim(`${attachment.mimeType}, ${formatBytes(attachment.size)}`)}`));
     }
 
-    getProjectContext() {
-        const context = [];
-        
-        // Add current directory and structure
-        context.push(`Current directory: ${this.currentDirectory}`);
-        context.push(`Directory structure:\n${this.getDirectoryStructure()}`);
-        
-        // Add key configuration files
-        const configFiles = ['package.json', 'requirements.txt', 'Cargo.toml', 'pom.xml', 'build.gradle', 'Makefile', 'README.md'];
-        configFiles.forEach(file => {
-            const content = this.readFile(file, { showOutput: false });
-            if (content) {
-                context.push(`\n${file}:\n${content.slice(0, 1000)}${content.length > 1000 ? '...' : ''}`);
+    truncateOutput(text, limit = 20000) {
+        if (!text || text.length <= limit) return text || '';
+        return `${text.slice(0, limit)}\n...(truncated ${text.length - limit} characters)`;
+    }
+
+    getAgentTools() {
+        const tools = [
+            {
+                name: 'read_file',
+                description: 'Read a file from the project. Returns its content with line numbers.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string', description: 'File path relative to the project directory' },
+                        start_line: { type: 'integer', description: 'First line to return (1-based, optional)' },
+                        end_line: { type: 'integer', description: 'Last line to return (inclusive, optional)' }
+                    },
+                    required: ['path']
+                },
+                run: (args) => this.toolReadFile(args)
+            },
+            {
+                name: 'write_file',
+                description: 'Create a file or replace its entire content. Prefer edit_file for changes to existing files.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string', description: 'File path relative to the project directory' },
+                        content: { type: 'string', description: 'Complete file content' }
+                    },
+                    required: ['path', 'content']
+                },
+                run: (args) => this.toolWriteFile(args)
+            },
+            {
+                name: 'edit_file',
+                description: 'Replace one occurrence of old_text with new_text in an existing file. Copy old_text from the file and include enough surrounding lines to make it unique.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string', description: 'File path relative to the project directory' },
+                        old_text: { type: 'string', description: 'Existing text to replace' },
+                        new_text: { type: 'string', description: 'Replacement text' }
+                    },
+                    required: ['path', 'old_text', 'new_text']
+                },
+                run: (args) => this.toolEditFile(args)
+            },
+            {
+                name: 'delete_file',
+                description: 'Delete a file from the project.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string', description: 'File path relative to the project directory' }
+                    },
+                    required: ['path']
+                },
+                run: (args) => this.toolDeleteFile(args)
+            },
+            {
+                name: 'list_dir',
+                description: 'Show the directory tree of a project folder.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        path: { type: 'string', description: 'Directory relative to the project directory (default ".")' },
+                        depth: { type: 'integer', description: 'How many levels to descend (default 2)' }
+                    }
+                },
+                run: (args) => this.toolListDir(args)
+            },
+            {
+                name: 'run_command',
+                description: 'Run a non-interactive shell command in the project directory and return its exit code and output.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        command: { type: 'string', description: 'Shell command to run' }
+                    },
+                    required: ['command']
+                },
+                run: (args) => this.toolRunCommand(args)
+            },
+            {
+                name: 'search',
+                description: 'Search project files for a regular expression and return matching lines as path:line: text.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'Regular expression (case-insensitive)' },
+                        path: { type: 'string', description: 'Limit the search to this directory (optional)' }
+                    },
+                    required: ['query']
+                },
+                run: (args) => this.toolSearch(args)
             }
-        });
-        
-        // Add git information if available
+        ];
+        const allTools = [...tools, ...this.getMcpTools()];
+        if (!this.allowedTools) return allTools;
+        // Entries can end in * to allow a group, e.g. mcp__github__*
+        return allTools.filter(tool => this.allowedTools.some(allowed => allowed.endsWith('*')
+            ? tool.name.startsWith(allowed.slice(0, -1))
+            : tool.name === allowed));
+    }
+
+    async executeTool(call, tools = this.getAgentTools()) {
+        const tool = tools.find(t => t.name === call.name);
+        if (!tool) {
+            return `Error: Unknown tool "${call.name}"`;
+        }
+        if (call.args && call.args._invalidArguments !== undefined) {
+            return `Error: Could not parse tool arguments as JSON: ${call.args._invalidArguments}`;
+        }
+
         try {
-            const gitStatus = exec('git status --porcelain', { cwd: this.currentDirectory });
-            if (gitStatus) {
-                context.push(`\nGit status:\n${gitStatus}`);
-            }
+            return this.truncateOutput(String(await tool.run(call.args || {})));
         } catch (error) {
-            // Ignore git errors
+            return `Error: ${error.message}`;
         }
-        
-        return context.join('\n\n');
     }
 
-    extractCodeBlocks(text) {
-        const codeBlocks = [];
-        const regex = /```(\w+)?\s*\n([\s\S]*?)\n```/g;
-        let match;
-        
-        while ((match = regex.exec(text)) !== null) {
-            const language = match[1] || 'text';
-            const content = match[2];
-            codeBlocks.push({ language, content: content.trim() });
+    describeToolCall(call) {
+        const args = call.args || {};
+        const target = args.path || args.command || args.query || '';
+        return `${call.name}${target ? ` ${target}` : ''}`;
+    }
+
+    toolReadFile({ path: filePath, start_line: startLine, end_line: endLine }) {
+        const fullPath = this.resolveProjectPath(filePath);
+        const content = this.readFile(fullPath, { showOutput: false });
+        if (content === null) {
+            throw new Error(`File not found: ${filePath}`);
         }
-        
-        return codeBlocks;
+
+        const lines = content.split('\n');
+        const start = Math.max(1, startLine || 1);
+        const end = Math.min(lines.length, endLine || lines.length);
+        return lines.slice(start - 1, end).map((line, i) => `${String(start + i).padStart(5)} | ${line}`).join('\n');
     }
 
-    extractCommands(text) {
-        const commands = [];
-        
-        // Extract from bash/shell code blocks
-        const codeBlocks = this.extractCodeBlocks(text);
-        codeBlocks.forEach(block => {
-            if (['bash', 'shell', 'sh', 'zsh'].includes(block.language.toLowerCase())) {
-                const lines = block.content.split('\n');
-                lines.forEach(line => {
-                    line = line.trim();
-                    if (line && !line.startsWith('#') && !line.startsWith('//') && !line.includes('EOF') && line !== 'EOF') {
-                        commands.push(line);
-                    }
+    async toolWriteFile({ path: filePath, content }) {
+        this.resolveProjectPath(filePath);
+        return (await this.proposeFileChange(filePath, content)).message;
+    }
+
+    async toolEditFile({ path: filePath, old_text: oldText, new_text: newText }) {
+        const fullPath = this.resolveProjectPath(filePath);
+        const content = this.readFile(fullPath, { showOutput: false });
+        if (content === null) {
+            throw new Error(`File not found: ${filePath}`);
+        }
+
+        if (!oldText) {
+            throw new Error('old_text is empty. Use write_file to create or replace a whole file.');
+        }
+
+        const result = applyEdit(content, oldText, newText);
+        if (result.error) {
+            throw new Error(`${result.error} in ${filePath}. Read the file and copy old_text exactly.`);
+        }
+
+        const outcome = await this.proposeFileChange(filePath, result.content);
+        const note = result.method === 'exact' ? '' : ` (old_text matched ${result.method === 'fuzzy' ? 'approximately' : 'ignoring whitespace'})`;
+        return outcome.message + (outcome.applied ? note : '');
+    }
+
+    async toolDeleteFile({ path: filePath }) {
+        this.resolveProjectPath(filePath);
+        return (await this.proposeFileDeletion(filePath)).message;
+    }
+
+    toolListDir({ path: dirPath = '.', depth = 2 }) {
+        const root = this.resolveProjectPath(dirPath);
+        if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+            throw new Error(`Directory not found: ${dirPath}`);
+        }
+        return this.getDirectoryStructure({ root, maxDepth: Math.max(0, depth - 1) }) || '(empty directory)';
+    }
+
+    async toolRunCommand({ command }) {
+        const approval = await this.authorizeCommand(command);
+        if (!approval.approved) {
+            return `Command was not run: ${approval.reason}`;
+        }
+
+        const isInstall = ['npm install', 'yarn install', 'pip install', 'cargo build', 'mvn install'].some(cmd => command.includes(cmd));
+        const result = await this.executeCommand(command, { timeout: isInstall ? 120000 : 30000, sandbox: true });
+
+        return [
+            `Exit code: ${result.code}`,
+            result.stdout ? `stdout:\n${this.truncateOutput(result.stdout, 8000)}` : '',
+            result.stderr ? `stderr:\n${this.truncateOutput(result.stderr, 8000)}` : '',
+            result.error && !result.stderr ? `error: ${result.error}` : ''
+        ].filter(Boolean).join('\n');
+    }
+
+    toolSearch({ query, path: dirPath = '.' }) {
+        let regex;
+        try {
+            regex = new RegExp(query, 'i');
+        } catch (error) {
+            regex = new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        }
+
+        const matches = [];
+        const maxMatches = 100;
+        for (const file of this.listProjectFiles({ root: this.resolveProjectPath(dirPath) })) {
+            const fullPath = path.join(this.currentDirectory, file);
+            if (fs.statSync(fullPath).size > 1024 * 1024) continue;
+
+            const content = fs.readFileSync(fullPath, 'utf8');
+            if (content.includes('\0')) continue; // Binary file
+
+            const lines = content.split('\n');
+            for (let i = 0; i < lines.length && matches.length < maxMatches; i++) {
+                if (regex.test(lines[i])) {
+                    matches.push(`${file}:${i + 1}: ${lines[i].trim().slice(0, 200)}`);
+                }
+            }
+            if (matches.length >= maxMatches) break;
+        }
+
+        if (matches.length === 0) return 'No matches found.';
+        return matches.join('\n') + (matches.length >= maxMatches ? `\n...(stopped after ${maxMatches} matches)` : '');
+    }
+
+    // Start every enabled MCP server that hasn't been tried yet and wait for those still starting;
+    // failures are reported and skipped
+    async ensureMcpConnected() {
+        await this.ensureProjectTrust();
+        for (const [name, config] of Object.entries(this.mcpServers)) {
+            if (config.disabled || this.mcpClients.has(name)) continue;
+            const client = new McpClient(name, config);
+            this.mcpClients.set(name, client);
+            client.ready = client.connect().catch(error => {
+                console.warn(`⚠️ MCP server ${name} failed to start: ${error.message}`);
+            });
+        }
+        await Promise.all([...this.mcpClients.values()].map(client => client.ready));
+    }
+
+    async reconnectMcp(name = null) {
+        const names = name ? [name] : Object.keys(this.mcpServers);
+        for (const serverName of names) {
+            if (!this.mcpServers[serverName]) {
+                throw new Error(`Unknown MCP server: ${serverName}`);
+            }
+            const client = this.mcpClients.get(serverName);
+            if (client) client.close();
+            this.mcpClients.delete(serverName);
+        }
+        const disabled = names.filter(serverName => this.mcpServers[serverName].disabled);
+        await this.ensureMcpConnected();
+        return disabled;
+    }
+
+    closeMcpServers() {
+        for (const client of this.mcpClients.values()) {
+            client.close();
+        }
+        this.mcpClients.clear();
+    }
+
+    getMcpClient(name) {
+        const client = this.mcpClients.get(name);
+        if (!client || client.status !== 'connected') {
+            throw new Error(this.mcpServers[name] ? `MCP server ${name} is not connected` : `Unknown MCP server: ${name}`);
+        }
+        return client;
+    }
+
+    // Tool names are limited to 64 characters of [a-zA-Z0-9_-] by the providers
+    getMcpToolName(server, tool) {
+        return `mcp__${server}__${tool}`.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+    }
+
+    getMcpTools() {
+        const tools = [];
+        const withResources = [];
+        for (const client of this.mcpClients.values()) {
+            if (client.status !== 'connected') continue;
+            if (client.resources.length > 0) withResources.push(client.name);
+
+            for (const tool of client.tools) {
+                tools.push({
+                    name: this.getMcpToolName(client.name, tool.name),
+                    description: `[MCP ${client.name}] ${tool.description || tool.name}`,
+                    parameters: tool.inputSchema || { type: 'object', properties: {} },
+                    run: (args) => this.toolCallMcp(client, tool, args)
                 });
             }
-        });
-        
-        return commands;
+        }
+
+        if (withResources.length > 0) {
+            tools.push({
+                name: 'mcp_read_resource',
+                description: `Read a resource exposed by an MCP server (${withResources.join(', ')}).`,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        server: { type: 'string', description: 'MCP server name' },
+                        uri: { type: 'string', description: 'Resource URI' }
+                    },
+                    required: ['server', 'uri']
+                },
+                run: ({ server, uri }) => this.getMcpClient(server).readResource(uri)
+            });
+        }
+        return tools;
     }
 
-    extractFiles(text) {
-        const files = [];
-        
-        // Extract files from code blocks with comment indicators
-        const codeBlocks = this.extractCodeBlocks(text);
-        
-        codeBlocks.forEach((block, index) => {
-            let filename = null;
-            let content = block.content;
-            
-            // Look for filename in comment on first line
-            const lines = content.split('\n');
-            const firstLine = lines[0].trim();
-            
-            // Check for various comment patterns
-            if (firstLine.startsWith('//') && firstLine.includes('.')) {
-                filename = firstLine.replace('//', '').trim();
-                content = lines.slice(1).join('\n').trim();
-            } else if (firstLine.startsWith('#') && firstLine.includes('.')) {
-                filename = firstLine.replace('#', '').trim();
-                content = lines.slice(1).join('\n').trim();
-            } else if (firstLine.startsWith('/*') && firstLine.includes('.')) {
-                filename = firstLine.replace('/*', '').replace('*/', '').trim();
-                content = lines.slice(1).join('\n').trim();
+    async toolCallMcp(client, tool, args) {
+        const approval = await this.confirmMcpTool(client, tool, args);
+        if (!approval.approved) {
+            return `Tool was not run: ${approval.reason}`;
+        }
+        return client.callTool(tool.name, args);
+    }
+
+    // MCP tools can do anything the server can, so they follow approvalMode like commands.
+    // Servers marked "trust": true and tools annotated as read-only run without asking.
+    async confirmMcpTool(client, tool, args) {
+        const key = `mcp:${client.name}/${tool.name}`;
+        const readOnly = tool.annotations && tool.annotations.readOnlyHint;
+        if (client.config.trust || readOnly || this.approvedCommands.has(key) || this.approvalMode === 'auto' || this.approveAll) {
+            return { approved: true };
+        }
+
+        if (this.approvalMode === 'never') {
+            console.log(`⏸️ Not running (approval mode: never): ${client.name}/${tool.name}`);
+            return { approved: false, reason: 'approval mode is "never"' };
+        }
+
+        console.log(`\n🧩 ${client.name}/${tool.name} ${colors.dim(JSON.stringify(args).slice(0, 200))}`);
+        const choice = await this.askChoice(`Run MCP tool ${client.name}/${tool.name}? [y]es / [s]kip / [a]lways: `, ['y', 's', 'a'],
+            { kind: 'mcp_tool', server: client.name, tool: tool.name, args });
+
+        if (choice === null) {
+            return { approved: false, reason: 'approval needed but no terminal is available' };
+        }
+        if (choice === 's') {
+            console.log(`⏭️ Skipped: ${client.name}/${tool.name}`);
+            return { approved: false, reason: 'the user skipped it' };
+        }
+        if (choice === 'a') {
+            this.approvedCommands.add(key);
+        }
+        return { approved: true };
+    }
+
+    showMcpServers() {
+        const names = Object.keys(this.mcpServers);
+        if (names.length === 0) {
+            console.log('No MCP servers configured. Add them under "mcpServers" in config.json.');
+            return;
+        }
+
+        console.log('\n🧩 MCP servers:\n');
+        for (const name of names) {
+            const config = this.mcpServers[name];
+            const client = this.mcpClients.get(name);
+            const status = config.disabled ? 'disabled' : (client ? client.status : 'not started');
+            const target = config.url || [config.command, ...(config.args || [])].join(' ');
+            console.log(`  ${name}  ${status === 'connected' ? colors.green(status) : (status === 'failed' ? colors.red(status) : status)}${config.trust ? '  (trusted)' : ''}`);
+            console.log(colors.dim(`      ${client ? client.transport : (config.url ? 'http' : 'stdio')}: ${target}`));
+            if (client && client.status === 'connected') {
+                console.log(colors.dim(`      ${client.tools.length} tools, ${client.resources.length} resources, ${client.prompts.length} prompts`));
+            } else if (client && client.error) {
+                console.log(colors.dim(`      ${client.error}`));
             }
-            
-            // Also look for patterns before code blocks in the surrounding text
-            if (!filename) {
-                const beforeBlock = text.substring(0, text.indexOf('```' + block.language));
-                const filenamePatterns = [
-                    /(?:create|save|write|update)\s+(?:file\s+)?[`"']?([^`"'\s\n]+\.[a-zA-Z]+)[`"']?/i,
-                    /(?:file\s*:)\s*[`"']?([^`"'\s\n]+\.[a-zA-Z]+)[`"']?/i,
-                    /([a-zA-Z0-9_-]+\.[a-zA-Z]+)(?:\s*:|\s*-|\s*file)/i
-                ];
-                
-                for (const pattern of filenamePatterns) {
-                    const beforeLines = beforeBlock.split('\n').slice(-3); // Check last 3 lines
-                    for (const line of beforeLines.reverse()) {
-                        const match = line.match(pattern);
-                        if (match && match[1]) {
-                            filename = match[1].trim();
-                            break;
-                        }
-                    }
-                    if (filename) break;
-                }
+        }
+        console.log('');
+    }
+
+    // Returns the text of a prompt to send as a request (for /mcp prompt), otherwise null
+    async handleMcpCommand(args) {
+        const [action, server, ...rest] = args.split(/\s+/).filter(Boolean);
+        await this.ensureMcpConnected();
+
+        const clients = server && ['tools', 'resources', 'prompts'].includes(action)
+            ? [this.getMcpClient(server)]
+            : [...this.mcpClients.values()].filter(client => client.status === 'connected');
+
+        if (['tools', 'resources', 'prompts'].includes(action) && !clients.some(client => client[action].length > 0)) {
+            console.log(`No MCP ${action} available.`);
+        } else if (!action) {
+            this.showMcpServers();
+        } else if (action === 'tools') {
+            for (const client of clients.filter(client => client.tools.length > 0)) {
+                console.log(`\n🧩 ${client.name}:`);
+                client.tools.forEach(tool => console.log(`  ${this.getMcpToolName(client.name, tool.name)}  ${colors.dim((tool.description || '').split('\n')[0])}`));
             }
-            
-            // If still no filename, try to infer from content and language
-            if (!filename && content.trim()) {
-                const ext = this.getExtensionFromLanguage(block.language);
-                if (ext) {
-                    // Try to find a meaningful name from content
-                    if (block.language === 'json' && content.includes('"name"')) {
-                        filename = 'package.json';
-                    } else if (content.includes('app.listen') || content.includes('express()')) {
-                        filename = `server${ext}`;
-                    } else if (content.includes('module.exports') || content.includes('export')) {
-                        filename = `index${ext}`;
-                    } else {
-                        filename = `file${index}${ext}`;
-                    }
-                }
+        } else if (action === 'resources') {
+            for (const client of clients.filter(client => client.resources.length > 0)) {
+                console.log(`\n🧩 ${client.name}:`);
+                client.resources.forEach(resource => console.log(`  ${resource.uri}  ${colors.dim(resource.name || '')}`));
+            }
+        } else if (action === 'prompts') {
+            for (const client of clients.filter(client => client.prompts.length > 0)) {
+                console.log(`\n🧩 ${client.name}:`);
+                client.prompts.forEach(prompt => {
+                    const params = (prompt.arguments || []).map(arg => arg.required ? arg.name : `${arg.name}?`);
+                    console.log(`  ${prompt.name}${params.length > 0 ? ` (${params.join(', ')})` : ''}  ${colors.dim(prompt.description || '')}`);
+                });
+            }
+        } else if (action === 'read') {
+            if (!server || rest.length === 0) {
+                console.log('Usage: /mcp read <server> <uri>');
+            } else {
+                console.log(await this.getMcpClient(server).readResource(rest.join(' ')));
+            }
+        } else if (action === 'prompt') {
+            if (!server || rest.length === 0) {
+                console.log('Usage: /mcp prompt <server> <name> [json arguments]');
+                return null;
+            }
+            const [name, ...json] = rest;
+            const promptArgs = json.length > 0 ? JSON.parse(json.join(' ')) : {};
+            return this.getMcpClient(server).getPrompt(name, promptArgs);
+        } else if (action === 'reconnect') {
+            const disabled = await this.reconnectMcp(server || null);
+            disabled.forEach(name => console.log(`${name} is disabled in config.json`));
+            this.showMcpServers();
+        } else {
+            console.log('Usage: /mcp [tools | resources | prompts [server] | read <server> <uri> | prompt <server> <name> [json] | reconnect [server]]');
+        }
+        return null;
+    }
+
+    // Native function-calling loop: keep feeding tool results back until the model stops calling tools
+    async runAgentLoop(messages, systemPrompt, options = {}) {
+        const { onToken = null, onToolCall = null, maxIterations = this.maxIterations } = options;
+        await this.ensureMcpConnected();
+        const tools = this.getAgentTools();
+        const conversation = [...messages];
+        const turnMessages = [];
+        const texts = [];
+
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const result = await this.requestCompletion(conversation, systemPrompt, { onToken, tools });
+
+            const assistantMessage = { role: 'assistant', content: result.text };
+            if (result.toolCalls.length > 0) {
+                assistantMessage.toolCalls = result.toolCalls;
             }
-            
-            if (filename && content.trim()) {
-                files.push({ 
-                    filename: filename.replace(/[<>:"|?*]/g, ''), // Clean filename
-                    content, 
-                    language: block.language 
-                });
+            conversation.push(assistantMessage);
+            turnMessages.push(assistantMessage);
+            if (result.text) texts.push(result.text);
+
+            if (result.toolCalls.length === 0) {
+                return { text: texts.join('\n\n'), messages: turnMessages, iterations: iteration, complete: true };
             }
-        });
-        
-        return files;
+
+            for (const call of result.toolCalls) {
+                if (onToolCall) onToolCall(call);
+                const output = await this.executeTool(call, tools);
+                const toolMessage = { role: 'tool', toolCallId: call.id, name: call.name, content: output };
+                conversation.push(toolMessage);
+                turnMessages.push(toolMessage);
+            }
+        }
+
+        return { text: texts.join('\n\n'), messages: turnMessages, iterations: maxIterations, complete: false };
     }
 
-    getExtensionFromLanguage(language) {
-        const langMap = {
-            'javascript': '.js',
-            'js': '.js',
-            'typescript': '.ts',
-            'ts': '.ts',
-            'python': '.py',
-            'py': '.py',
-            'java': '.java',
-            'cpp': '.cpp',
-            'c': '.c',
-            'html': '.html',
-            'css': '.css',
-            'json': '.json',
-            'yaml': '.yml',
-            'yml': '.yml',
-            'xml': '.xml',
-            'shell': '.sh',
-            'bash': '.sh',
-            'sh': '.sh'
-        };
-        
-        return langMap[language.toLowerCase()] || null;
+    // DELTA.md files that apply to this project: the global one, then every directory from the
+    // filesystem root down to the project, so the most specific instructions come last
+    getMemoryFiles() {
+        const files = [path.join(this.configDir, MEMORY_FILE)];
+        const dirs = [];
+        for (let dir = this.currentDirectory; ; dir = path.dirname(dir)) {
+            dirs.unshift(dir);
+            if (path.dirname(dir) === dir) break;
+        }
+        files.push(...dirs.map(dir => path.join(dir, MEMORY_FILE)));
+        return [...new Set(files)].filter(file => fs.existsSync(file) && fs.statSync(file).isFile());
     }
 
-    async autoExecuteResponse(response) {
-        console.log('\n🔍 Analyzing response for auto-execution...\n');
-        
-        let hasChanges = false;
-        
-        // Extract and create files first
-        const files = this.extractFiles(response);
-        for (const file of files) {
-            if (file.content) {
-                hasChanges = true;
-                this.writeToFile(file.filename, file.content, { backup: true });
-            }
+    loadMemory() {
+        return this.getMemoryFiles().map(file => ({
+            path: file,
+            content: this.truncateOutput(fs.readFileSync(file, 'utf8').trim(), MEMORY_MAX_CHARS)
+        })).filter(memory => memory.content);
+    }
+
+    getMemorySection() {
+        const memories = this.loadMemory();
+        if (memories.length === 0) return '';
+        const sections = memories.map(memory => `## ${this.describeMemoryFile(memory.path)}\n${memory.content}`);
+        return `\n\nProject instructions from ${MEMORY_FILE} files. Follow them; later ones take precedence:\n\n${sections.join('\n\n')}`;
+    }
+
+    describeMemoryFile(file) {
+        if (file === path.join(this.configDir, MEMORY_FILE)) return `~/.delta-cli/${MEMORY_FILE} (global)`;
+        const relative = path.relative(this.currentDirectory, file);
+        return relative === MEMORY_FILE ? `${MEMORY_FILE} (project)` : relative;
+    }
+
+    showMemory() {
+        const memories = this.loadMemory();
+        if (memories.length === 0) {
+            console.log(`No ${MEMORY_FILE} found. Use /memory edit to write one, or /init to have the model draft it.`);
+            return;
         }
-        
-        // Then extract and execute commands
-        const commands = this.extractCommands(response);
-        for (const command of commands) {
-            // Skip dangerous or problematic commands
-            if (this.shouldSkipCommand(command)) {
-                console.log(`⚠️ Skipping potentially problematic command: ${command}`);
-                continue;
-            }
-            
-            hasChanges = true;
-            
-            if (command.includes('cd ')) {
-                // Handle directory changes
-                const newDir = command.replace(/cd\s+/, '').trim().replace(/^['"]|['"]$/g, '');
-                const fullPath = path.resolve(this.currentDirectory, newDir);
-                
-                if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
-                    this.currentDirectory = fullPath;
-                    process.chdir(fullPath);
-                    console.log(`📂 Changed directory to: ${fullPath}`);
-                } else {
-                    console.log(`❌ Directory not found: ${newDir}`);
-                }
+        for (const memory of memories) {
+            console.log(`\n🧠 ${this.describeMemoryFile(memory.path)}  ${colors.dim(memory.path)}`);
+            console.log('─'.repeat(40));
+            console.log(memory.content);
+        }
+        console.log('');
+    }
+
+    handleMemoryCommand(args) {
+        const [action, ...rest] = args.split(/\s+/).filter(Boolean);
+        const globalFile = path.join(this.configDir, MEMORY_FILE);
+        const projectFile = path.join(this.currentDirectory, MEMORY_FILE);
+
+        if (!action) {
+            this.showMemory();
+        } else if (action === 'edit') {
+            const file = rest[0] === 'global' ? globalFile : projectFile;
+            const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+            const content = this.editInEditor(file, existing || `# ${MEMORY_FILE}\n\n`);
+            if (content === existing) {
+                console.log('No changes.');
             } else {
-                // Determine if command needs interactive mode
-                const interactiveCommands = ['npm install', 'yarn install', 'pip install', 'cargo build', 'mvn install'];
-                const isInteractive = interactiveCommands.some(cmd => command.includes(cmd));
-                
-                await this.executeCommand(command, { 
-                    interactive: isInteractive,
-                    timeout: isInteractive ? 120000 : 30000 // 2 minutes for installs, 30s for others
-                });
+                fs.writeFileSync(file, content);
+                console.log(`🧠 Saved ${file}`);
             }
-            
-            // Small delay between commands
-            await new Promise(resolve => setTimeout(resolve, 500));
-        }
-        
-        // Show final directory structure if there were changes
-        if (hasChanges) {
-            console.log('\n📋 Updated directory structure:');
-            console.log(this.getDirectoryStructure());
+        } else if (action === 'add') {
+            const global = rest[0] === 'global';
+            const note = (global ? rest.slice(1) : rest).join(' ');
+            if (!note) {
+                console.log('Usage: /memory add [global] <note>');
+                return;
+            }
+            const file = global ? globalFile : projectFile;
+            const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+            fs.writeFileSync(file, `${existing}${existing && !existing.endsWith('\n') ? '\n' : ''}- ${note}\n`);
+            console.log(`🧠 Added to ${file}`);
         } else {
-            console.log('ℹ️ No executable commands or files found in response.');
+            console.log('Usage: /memory [edit [global] | add [global] <note>]');
         }
     }
 
-    shouldSkipCommand(command) {
-        const dangerousPatterns = [
-            /rm\s+-rf?\s+\//, // rm -rf /
-            /sudo\s+rm/, // sudo rm
-            />\s*\/dev\/sda/, // writing to disk
-            /dd\s+if=/, // disk operations
-            /mkfs/, // format disk
-            /fdisk/, // partition operations
-            /:\(\)\{\s*:\|\:&\s*\}/, // fork bomb
-            /cat.*EOF.*<</, // problematic cat commands with EOF
-            /curl.*\|\s*bash/, // curl pipe to bash
-            /wget.*\|\s*bash/, // wget pipe to bash
-        ];
-        
-        return dangerousPatterns.some(pattern => pattern.test(command));
+    // Have the model look around the repository and write (or improve) the project's DELTA.md
+    async initMemory() {
+        const exists = fs.existsSync(path.join(this.currentDirectory, MEMORY_FILE));
+        const request = `${exists ? `Improve the existing ${MEMORY_FILE}` : `Create a ${MEMORY_FILE} file`} in the project root. It is loaded into your system prompt for every request in this project, so write it for a coding assistant that is new to the codebase.
+
+Inspect the repository first (manifests, README, configs, a few representative source and test files), then cover briefly:
+- what the project is and how it is laid out
+- the commands to install dependencies, build, run, lint and test (with the package manager actually used)
+- code style and conventions visible in the code (module system, naming, error handling, test layout)
+- anything that should not be touched or needs care
+
+Only write down what you can confirm from the files. Keep it under 80 lines of Markdown.${exists ? ' Keep instructions the user wrote unless they are wrong.' : ''}`;
+        await this.handleCodingRequest(request);
     }
 
-    async handleCodingRequest(request, options = {}) {
-        const { includeContext = true, autoExecute = this.autoExecute } = options;
-        
-        let context = '';
-        if (includeContext) {
-            context = this.getProjectContext() + '\n\n';
+    buildSystemPrompt(options) {
+        return this.getBasePrompt(options) + this.getMemorySection();
+    }
+
+    getBasePrompt({ autoExecute, useTools }) {
+        if (useTools) {
+            return `You are Delta CLI, an advanced AI coding assistant working directly in the user's project. You have expertise in all programming languages, frameworks, and development tools.
+
+You can act on the project through tools:
+- read_file, list_dir and search to inspect the code before changing it
+- edit_file for targeted changes to existing files, write_file for new files or full rewrites
+- run_command for builds, tests, installs and other non-interactive shell commands${this.getMcpTools().length > 0 ? `
+- mcp__<server>__<tool> tools from connected MCP servers (${[...this.mcpClients.values()].filter(c => c.status === 'connected').map(c => c.name).join(', ')})` : ''}
+
+Guidelines:
+- Look at the relevant files before editing them
+- Make complete, working changes; never leave placeholders such as "..." in files
+- Verify your work (run tests or the build) when it makes sense
+- Avoid interactive prompts in commands
+- When you are done, reply with a short summary of what you changed
+
+Current working directory: ${this.currentDirectory}`;
         }
 
-        const systemPrompt = `You are Delta CLI, an advanced AI coding assistant that provides complete, actionable solutions. You have expertise in all programming languages, frameworks, and development tools.
+        return `You are Delta CLI, an advanced AI coding assistant that provides complete, actionable solutions. You have expertise in all programming languages, frameworks, and development tools.
 
 When a user asks you to create, modify, or work with code:
 
@@ -612,7 +6387,14 @@ When a user asks you to create, modify, or work with code:
 
 Format guidelines:
 - Terminal commands in \`\`\`bash code blocks
-- Code files with filenames as first line comments (e.g., // filename.js or # filename.py)
+- New files with filenames as first line comments (e.g., // filename.js or # filename.py)
+- Changes to existing files as SEARCH/REPLACE blocks instead of rewriting the whole file:
+  path/to/file.js
+  <<<<<<< SEARCH
+  exact lines currently in the file
+  =======
+  the lines that replace them
+  >>>>>>> REPLACE
 - Use proper syntax highlighting with language specifiers
 - Provide complete, runnable solutions
 - For JSON files, use \`\`\`json blocks
@@ -625,160 +6407,363 @@ If auto-execution is enabled, your commands and files will be automatically exec
 - Put filenames as comments on the first line of code blocks
 - Use clear, safe commands
 - Avoid interactive prompts in commands when possible`;
+    }
+
+    // Drop duplicates and keep the total under the inline data limit
+    collectAttachments(candidates) {
+        const attachments = [];
+        let total = 0;
+        for (const attachment of candidates) {
+            if (attachments.some(existing => existing.path === attachment.path)) continue;
+            if (total + attachment.size > ATTACHMENT_MAX_BYTES) {
+                console.log(`⚠️ Not attached: ${attachment.name} (attachments are limited to ${formatBytes(ATTACHMENT_MAX_BYTES)} per request)`);
+                continue;
+            }
+            total += attachment.size;
+            attachments.push(attachment);
+            console.log(`🖼️ Attached ${attachment.name} (${attachment.mimeType}, ${formatBytes(attachment.size)})`);
+        }
+        return attachments;
+    }
+
+    async handleCodingRequest(request, options = {}) {
+        const { includeContext = true, autoExecute = this.autoExecute } = options;
+        const hook = await this.runHooks('userPromptSubmit', { prompt: request });
+        if (hook.blocked) {
+            console.log(`🚫 Request blocked by hook: ${hook.reason}`);
+            if (this.headless) {
+                this.headless.failed = true;
+                this.headless.errors.push(`Request blocked by hook: ${hook.reason}`);
+            }
+            return `Error: blocked by hook: ${hook.reason}`;
+        }
+        if (typeof hook.prompt === 'string') request = hook.prompt;
+        const usage = this.beginRequestUsage();
+
+        // Models without function calling fall back to extracting files and commands from markdown
+        const useTools = autoExecute && this.useTools;
+        this.approveAll = false;
+        if (autoExecute) {
+            this.pendingWorkBranch = request;
+            this.beginCheckpoint(request);
+        }
+        
+        let context = '';
+        if (includeContext) {
+            context = this.getProjectContext(request) + '\n\n';
+        }
+
+        // Files named with @ become part of the request, so they stay in the conversation
+        const mentions = this.expandMentions(request);
+        mentions.files.forEach(file => console.log(`📎 Attached ${file.path} (${file.lines} lines)`));
+        mentions.skipped.forEach(file => console.log(`⚠️ Not attached: ${file.path} (${file.reason})`));
+        const prompt = mentions.text;
+        const attachments = this.collectAttachments([...this.pendingAttachments, ...mentions.attachments, ...this.findPastedAttachments(request)]);
+        this.pendingAttachments = [];
+
+        if (useTools) {
+            await this.ensureMcpConnected();
+        }
+        const systemPrompt = this.buildSystemPrompt({ autoExecute, useTools });
+
+        // Summarize older turns before the conversation outgrows the model's context
+        if (this.conversationTokens() + estimateTokens(context + prompt) >= this.compactThreshold) {
+            try {
+                const result = await this.compactHistory({ force: true });
+                if (result) {
+                    console.log(`🗜️ Compacted ${result.summarized} older messages: ~${result.before} → ~${result.after} tokens`);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not compact the conversation: ${error.message}`);
+            }
+        }
 
         const messages = [
             ...this.conversationHistory,
             { 
                 role: 'user', 
-                content: context + request 
+                content: context + prompt,
+                ...(attachments.length > 0 ? { attachments } : {})
             }
         ];
 
+        let started = false;
+        let atLineStart = true;
+        const startOutput = () => {
+            if (!started) {
+                started = true;
+                console.log(`📖 Response (${this.model}):`);
+                console.log('═'.repeat(60));
+            }
+        };
+        const endLine = () => {
+            if (!atLineStart) process.stdout.write('\n');
+            atLineStart = true;
+        };
+        const onToken = (token) => {
+            if (this.headless) {
+                this.emitEvent('text_delta', { text: token });
+                return;
+            }
+            startOutput();
+            process.stdout.write(token);
+            atLineStart = token.endsWith('\n');
+        };
+        const onToolCall = (call) => {
+            this.emitEvent('tool_call', { id: call.id, name: call.name, args: call.args });
+            startOutput();
+            endLine();
+            console.log(`🛠️ ${this.describeToolCall(call)}`);
+        };
+
         try {
             console.log('🤖 Delta CLI is thinking...\n');
-            const response = await this.makeApiRequest(messages, systemPrompt);
+            let response;
+            let turnMessages;
+
+            if (useTools) {
+                const result = await this.runAgentLoop(messages, systemPrompt, { onToken, onToolCall });
+                response = result.text;
+                turnMessages = result.messages;
+                if (!result.complete) {
+                    endLine();
+                    console.log(`⚠️ Stopped after ${result.iterations} tool iterations (maxIterations).`);
+                }
+            } else {
+                response = await this.makeApiRequest(messages, systemPrompt, { onToken });
+                turnMessages = [{ role: 'assistant', content: response }];
+            }
+            
+            this.emitEvent('assistant', { text: response });
             
             // Add to conversation history
             this.conversationHistory.push(
-                { role: 'user', content: request },
-                { role: 'assistant', content: response }
+                { role: 'user', content: prompt, ...(attachments.length > 0 ? { attachments } : {}) },
+                ...turnMessages
             );
             
             // Save session
             this.saveSession();
             
-            console.log('📖 Gemini Response:');
-            console.log('═'.repeat(60));
-            console.log(response);
+            startOutput();
+            endLine();
             console.log('═'.repeat(60));
             
-            if (autoExecute) {
-                await this.autoExecuteResponse(response);
+            // Only act on the response once the stream has finished
+            let failedCommands = [];
+            if (autoExecute && !useTools) {
+                let failedEdits;
+                ({ failedEdits, failedCommands } = await this.autoExecuteResponse(response));
+                
+                // Hand edits that didn't apply back to the model so it can correct them
+                for (let attempt = 1; failedEdits.length > 0 && attempt <= this.editRetries; attempt++) {
+                    console.log(`\n🔁 ${failedEdits.length} edit(s) failed to apply; asking the model to fix them (attempt ${attempt}/${this.editRetries})...\n`);
+                    const retryPrompt = this.buildEditRetryPrompt(failedEdits);
+                    started = false;
+                    const retryResponse = await this.makeApiRequest(
+                        [...this.conversationHistory, { role: 'user', content: retryPrompt }],
+                        systemPrompt,
+                        { onToken }
+                    );
+                    this.conversationHistory.push(
+                        { role: 'user', content: retryPrompt },
+                        { role: 'assistant', content: retryResponse }
+                    );
+                    this.saveSession();
+                    
+                    this.emitEvent('assistant', { text: retryResponse });
+                    startOutput();
+                    endLine();
+                    console.log('═'.repeat(60));
+                    const retry = await this.autoExecuteResponse(retryResponse);
+                    failedEdits = retry.failedEdits;
+                    failedCommands.push(...retry.failedCommands);
+                }
+                
+                if (failedEdits.length > 0) {
+                    console.log(`⚠️ ${failedEdits.length} edit(s) could not be applied:`);
+                    failedEdits.forEach(edit => console.log(`  - ${edit.filename}: ${edit.error}`));
+                }
             }
             
+            await this.runHooks('responseComplete', { prompt: request, response, files: this.getTouchedFiles(turnMessages) });
+            this.reportRequestUsage(usage);
+
+            if (failedCommands.length > 0 && !this.headless) {
+                // A fix is a request of its own, with its own checkpoint
+                this.finishCheckpoint();
+                await this.offerCommandFix(failedCommands);
+            }
             return response;
         } catch (error) {
+            if (started) {
+                endLine();
+                console.log('═'.repeat(60));
+            }
+            this.reportRequestUsage(usage);
+            if (this.headless) {
+                const message = error.cancelled ? 'Request cancelled' : error.message;
+                this.headless.failed = true;
+                this.headless.errors.push(message);
+                this.emitEvent('error', { message });
+            }
+            if (error.cancelled) {
+                console.log('⏹️ Request cancelled.');
+                return 'Error: Request cancelled';
+            }
             console.error(`❌ Error: ${error.message}`);
             return `Error: ${error.message}`;
+        } finally {
+            // Record whatever was changed, even if the request failed or was cancelled part way
+            this.finishCheckpoint();
+        }
+    }
+
+    // Headless mode (--print): human-readable output moves to stderr and stdout only carries
+    // the result, as plain text, one JSON object (json) or one JSON event per line (stream-json)
+    // `delta serve` passes onEvent (where events go instead of stdout) and prompt (answers approvals)
+    enableHeadless(format = 'text', options = {}) {
+        this.headless = { format, events: [], errors: [], unapproved: [], failed: false, onEvent: options.onEvent || null, prompt: options.prompt || null };
+        const stderrConsole = new console.Console(process.stderr, process.stderr);
+        console.log = stderrConsole.log.bind(stderrConsole);
+        console.info = stderrConsole.info.bind(stderrConsole);
+        console.warn = stderrConsole.warn.bind(stderrConsole);
+    }
+
+    emitEvent(type, data = {}) {
+        if (!this.headless) return;
+        const event = { type, ...data };
+        if (this.headless.onEvent) {
+            this.headless.onEvent(event);
+        } else if (this.headless.format === 'stream-json') {
+            process.stdout.write(JSON.stringify(event) + '\n');
+        } else if (type !== 'text_delta') {
+            this.headless.events.push(event);
+        }
+    }
+
+    async runHeadless(request) {
+        const response = await this.handleCodingRequest(request);
+        const { format, events, errors, unapproved } = this.headless;
+        const result = {
+            success: !this.headless.failed,
+            text: errors.length > 0 ? '' : response,
+            session: this.session.id,
+            usage: this.session.usage,
+            ...(unapproved.length > 0 ? { unapproved } : {})
+        };
+        if (unapproved.length > 0) {
+            const list = unapproved.map(action => action.command || action.path || `${action.server}/${action.tool}`).join(', ');
+            console.error(`❌ ${unapproved.length} action${unapproved.length === 1 ? '' : 's'} needed approval, which --print can't ask for: ${list}. Use -a auto to allow them, or -a never to skip them.`);
+        }
+
+        if (format === 'stream-json') {
+            this.emitEvent('result', result);
+        } else if (format === 'json') {
+            process.stdout.write(JSON.stringify({
+                type: 'result',
+                ...result,
+                files: events.filter(event => event.type === 'file'),
+                commands: events.filter(event => event.type === 'command'),
+                toolCalls: events.filter(event => event.type === 'tool_call'),
+                errors
+            }, null, 2) + '\n');
+        } else if (result.text) {
+            process.stdout.write(result.text.endsWith('\n') ? result.text : result.text + '\n');
+        }
+
+        if (this.headless.failed) process.exitCode = 1;
+    }
+
+    // Tab completion: command names after "/", and project paths after "@" or a command
+    completeInput(line) {
+        const command = line.match(/^\/(\S*)$/);
+        if (command) {
+            const names = [
+                ...this.getBuiltinCommands().flatMap(entry => [entry.name, ...(entry.aliases || [])]),
+                ...this.getCustomCommands().map(entry => entry.name)
+            ].map(name => `/${name}`);
+            const hits = [...new Set(names)].filter(name => name.startsWith(line)).sort();
+            return [hits.length > 0 ? hits : names.sort(), line];
+        }
+
+        const token = line.match(/(\S*)$/)[1];
+        if (token.startsWith('@')) {
+            return [this.completePath(token.slice(1)).map(candidate => `@${candidate}`), token];
+        }
+        if (line.startsWith('/') && /\s/.test(line)) {
+            return [this.completePath(token), token];
         }
+        return [[], line];
+    }
+
+    // Entries of the directory named by `partial` that start with its last segment.
+    // Directories end in "/" so the next Tab descends into them.
+    completePath(partial) {
+        const slash = partial.lastIndexOf('/');
+        const dirPart = slash === -1 ? '' : partial.slice(0, slash + 1);
+        const prefix = partial.slice(slash + 1);
+        const dir = path.resolve(this.currentDirectory, dirPart || '.');
+
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return [];
+        }
+
+        const matcher = this.getIgnoreMatcher();
+        return entries
+            .filter(entry => entry.name.startsWith(prefix) && (prefix.startsWith('.') || !entry.name.startsWith('.')))
+            .filter(entry => !this.shouldIgnoreFile(path.join(dir, entry.name), matcher, entry.isDirectory()))
+            .map(entry => `${dirPart}${entry.name}${entry.isDirectory() ? '/' : ''}`)
+            .sort();
     }
 
     async startInteractiveMode() {
         console.log('🚀 Delta CLI - Advanced AI Coding Assistant');
-        console.log(`Model: ${this.model} | Auto-execute: ${this.autoExecute ? 'ON' : 'OFF'}`);
+        console.log(`Provider: ${this.provider} | Model: ${this.model} | Auto-execute: ${this.autoExecute ? 'ON' : 'OFF'} | Approval: ${this.approvalMode}`);
+        if (this.conversationHistory.length > 0) {
+            console.log(`Resumed session ${this.session.id} (${this.describeSession({ ...this.session, history: this.conversationHistory })}), ${this.conversationHistory.length} messages`);
+        }
         console.log('Type your coding requests or use /help for commands.\n');
 
         const rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout,
-            prompt: 'δ > '
+            prompt: 'δ > ',
+            completer: (line) => this.completeInput(line)
         });
+        this.rl = rl;
 
-        rl.on('line', async (input) => {
-            const trimmed = input.trim();
-            
-            try {
-                if (trimmed === '/exit' || trimmed === '/quit') {
-                    console.log('Goodbye! 👋');
-                    rl.close();
-                    return;
-                }
-                
-                if (trimmed === '/help') {
-                    this.showHelp();
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed === '/tree') {
-                    console.log('\n📋 Directory structure:');
-                    console.log(this.getDirectoryStructure({ showFiles: true, maxDepth: 3 }));
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed === '/clear') {
-                    this.conversationHistory = [];
-                    console.log('🧹 Conversation history cleared.');
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed === '/pwd') {
-                    console.log(`📂 Current directory: ${this.currentDirectory}`);
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed === '/toggle') {
-                    this.autoExecute = !this.autoExecute;
-                    console.log(`🔄 Auto-execution ${this.autoExecute ? 'enabled' : 'disabled'}`);
-                    this.saveConfig();
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed === '/status') {
-                    this.showStatus();
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed === '/config') {
-                    this.showConfig();
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed.startsWith('/cd ')) {
-                    const newDir = trimmed.slice(4).trim().replace(/^['"]|['"]$/g, '');
-                    try {
-                        const fullPath = path.resolve(this.currentDirectory, newDir);
-                        if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
-                            this.currentDirectory = fullPath;
-                            process.chdir(fullPath);
-                            console.log(`📂 Changed directory to: ${fullPath}`);
-                        } else {
-                            console.log(`❌ Directory not found: ${newDir}`);
-                        }
-                    } catch (error) {
-                        console.log(`❌ Error changing directory: ${error.message}`);
-                    }
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed.startsWith('/run ')) {
-                    const command = trimmed.slice(5).trim();
-                    await this.executeCommand(command);
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed.startsWith('/model ')) {
-                    const newModel = trimmed.slice(7).trim();
-                    this.model = newModel;
-                    console.log(`🤖 Model changed to: ${newModel}`);
-                    this.saveConfig();
-                    rl.prompt();
-                    return;
-                }
-                
-                if (trimmed.startsWith('/read ')) {
-                    const filePath = trimmed.slice(6).trim().replace(/^['"]|['"]$/g, '');
-                    const content = this.readFile(filePath);
-                    if (content) {
-                        console.log(`\n📄 Content of ${filePath}:`);
-                        console.log('─'.repeat(40));
-                        console.log(content.slice(0, 2000) + (content.length > 2000 ? '\n...(truncated)' : ''));
-                        console.log('─'.repeat(40));
-                    }
+        // Ctrl+C cancels a running request instead of leaving the REPL
+        rl.on('SIGINT', () => {
+            if (this.cancelPendingQuestion() || this.cancelActiveRequest()) {
+                return;
+            }
+            if (rl.line) {
+                rl.write(null, { ctrl: true, name: 'u' });
+                process.stdout.write('\n');
+                rl.prompt();
+                return;
+            }
+            console.log('\nGoodbye! 👋');
+            rl.close();
+        });
+
+        rl.on('close', () => this.closeMcpServers());
+
+        rl.on('line', async (input) => {
+            const trimmed = input.trim();
+            
+            try {
+                if (!trimmed) {
                     rl.prompt();
                     return;
                 }
                 
-                if (!trimmed) {
-                    rl.prompt();
+                if (trimmed.startsWith('/') && await this.runSlashCommand(trimmed, rl)) {
+                    if (!rl.closed) rl.prompt();
                     return;
                 }
                 
@@ -794,41 +6779,399 @@ If auto-execution is enabled, your commands and files will be automatically exec
         rl.prompt();
     }
 
-    showHelp() {
-        console.log(`
-🚀 Delta CLI Commands:
+    // Built-in slash commands. Each entry's run(args, rl) gets the text after the command name;
+    // help lists [usage, description] pairs for /help, grouped by category in this order.
+    getBuiltinCommands() {
+        return [
+            {
+                name: 'pwd', category: 'Navigation & Files',
+                help: [['/pwd', 'Show current directory']],
+                run: () => console.log(`📂 Current directory: ${this.currentDirectory}`)
+            },
+            {
+                name: 'cd', category: 'Navigation & Files', usage: '/cd <dir>',
+                help: [['/cd <dir>', 'Change directory']],
+                run: (args) => this.changeDirectory(args.replace(/^['"]|['"]$/g, ''))
+            },
+            {
+                name: 'tree', category: 'Navigation & Files',
+                help: [['/tree', 'Show directory structure']],
+                run: () => {
+                    console.log('\n📋 Directory structure:');
+                    console.log(this.getDirectoryStructure({ showFiles: true, maxDepth: 3 }));
+                }
+            },
+            {
+                name: 'read', category: 'Navigation & Files', usage: '/read <file>',
+                help: [['/read <file>', 'Display file contents']],
+                run: (args) => this.showFile(args.replace(/^['"]|['"]$/g, ''))
+            },
+            {
+                name: 'search', category: 'Navigation & Files', usage: '/search <query>',
+                help: [['/search <query>', 'Search the project\'s code index for symbols and text']],
+                run: (args) => this.showSearch(args)
+            },
+            {
+                name: 'run', category: 'Execution', usage: '/run <cmd>',
+                help: [['/run <cmd>', 'Execute shell command manually']],
+                run: (args) => this.runUserCommand(args)
+            },
+            {
+                name: 'last-output', category: 'Execution',
+                help: [['/last-output [n]', 'Show the full output of the last command, or the nth most recent']],
+                run: (args) => this.showLastOutput(args)
+            },
+            {
+                name: 'fix-tests', category: 'Execution',
+                help: [['/fix-tests [cmd]', 'Run the tests, let the model fix the failures and rerun until they pass']],
+                run: (args) => this.fixTests(args)
+            },
+            {
+                name: 'toggle', category: 'Execution',
+                help: [['/toggle', 'Toggle auto-execution on/off']],
+                run: () => {
+                    this.autoExecute = !this.autoExecute;
+                    console.log(`🔄 Auto-execution ${this.autoExecute ? 'enabled' : 'disabled'}`);
+                    this.saveConfig(['autoExecute']);
+                }
+            },
+            {
+                name: 'approval', category: 'Execution',
+                help: [['/approval [mode]', 'Show or set approval mode: auto, ask (diff + confirm), never']],
+                run: (mode) => this.setApprovalMode(mode)
+            },
+            {
+                name: 'policy', category: 'Execution',
+                help: [['/policy [cmd]', 'Show the command policy and sandbox, or check a command']],
+                run: (args) => this.showPolicy(args || null)
+            },
+            {
+                name: 'mcp', category: 'MCP Servers',
+                help: [
+                    ['/mcp', 'List MCP servers with their status'],
+                    ['/mcp tools|resources|prompts [server]', 'List what the servers expose'],
+                    ['/mcp read <server> <uri>', 'Show a resource'],
+                    ['/mcp prompt <server> <name> [json]', 'Send a server prompt as a request'],
+                    ['/mcp reconnect [server]', 'Restart one or all servers']
+                ],
+                run: async (args) => {
+                    const prompt = await this.handleMcpCommand(args);
+                    if (prompt) {
+                        await this.handleCodingRequest(prompt);
+                    }
+                }
+            },
+            {
+                name: 'diff', category: 'Git',
+                help: [['/diff [--staged] [path]', 'Show uncommitted (or only staged) changes']],
+                run: (args) => this.showGitDiff(args)
+            },
+            {
+                name: 'commit', category: 'Git',
+                help: [['/commit [--all]', 'Draft a conventional commit message for the staged changes and commit\n--all stages everything first']],
+                run: (args) => this.handleCommitCommand(args)
+            },
+            {
+                name: 'pr-description', category: 'Git',
+                help: [['/pr-description [base]', 'Summarize this branch against its base as a pull request description']],
+                run: (args) => this.handlePrDescriptionCommand(args)
+            },
+            {
+                name: 'review', category: 'Git',
+                help: [['/review [--staged | <base>..<head>] [--fix]', 'Review uncommitted changes, staged changes or a commit range for problems\n--fix applies the suggested fixes after approval']],
+                run: (args) => this.handleReviewCommand(args)
+            },
+            {
+                name: 'undo', category: 'Checkpoints',
+                help: [['/undo', 'Revert the files changed by the last request']],
+                run: (args) => this.undoCheckpoint(args === '--force')
+            },
+            {
+                name: 'redo', category: 'Checkpoints',
+                help: [['/redo', 'Re-apply the last undone request']],
+                run: (args) => this.redoCheckpoint(args === '--force')
+            },
+            {
+                name: 'checkpoints', category: 'Checkpoints',
+                help: [['/checkpoints', 'List checkpoints for this project']],
+                run: () => this.showCheckpoints()
+            },
+            {
+                name: 'restore', category: 'Checkpoints', usage: '/restore <id> [--force]',
+                help: [['/restore <id>', 'Roll back to before checkpoint <id> (undoing later ones too)\nAdd --force to overwrite files edited since the checkpoint']],
+                run: (args) => {
+                    const [id, flag] = args.split(/\s+/);
+                    this.restoreCheckpoint(parseInt(id, 10), flag === '--force');
+                }
+            },
+            {
+                name: 'clear', category: 'Conversation',
+                help: [['/clear', 'Clear conversation history']],
+                run: () => {
+                    this.conversationHistory = [];
+                    this.saveSession();
+                    console.log('🧹 Conversation history cleared.');
+                }
+            },
+            {
+                name: 'compact', category: 'Conversation',
+                help: [['/compact', 'Summarize older messages to free up context']],
+                run: () => this.handleCompactCommand()
+            },
+            {
+                name: 'pin', category: 'Conversation',
+                help: [['/pin', 'Keep the last request word for word when compacting']],
+                run: () => this.pinLastRequest()
+            },
+            {
+                name: 'sessions', category: 'Conversation',
+                help: [['/sessions', 'List saved sessions for this project']],
+                run: () => this.showSessions()
+            },
+            {
+                name: 'session', category: 'Conversation',
+                help: [['/session [new <name> | switch <id|name> | rename <name> | delete <id|name>]', 'Show, start, resume, rename or delete a session']],
+                run: (args) => this.handleSessionCommand(args)
+            },
+            {
+                name: 'context', category: 'Conversation',
+                help: [['/context [req]', 'Show the files sent as context last time, or preview them for a request']],
+                run: (args) => this.showContext(args || null)
+            },
+            {
+                name: 'attach', category: 'Conversation',
+                help: [['/attach [file | clear]', 'Attach an image or PDF to the next request, or list pending ones']],
+                run: (args) => this.handleAttachCommand(args)
+            },
+            {
+                name: 'memory', category: 'Conversation',
+                help: [['/memory [edit [global] | add [global] <note>]', 'Show the DELTA.md instructions in effect, edit them or add a note']],
+                run: (args) => this.handleMemoryCommand(args)
+            },
+            {
+                name: 'init', category: 'Conversation',
+                help: [['/init', 'Have the model write a DELTA.md for this project']],
+                run: () => this.initMemory()
+            },
+            {
+                name: 'cost', category: 'Conversation',
+                help: [['/cost [days]', 'Show token usage and estimated cost for the last request, session and today\nWith a number, daily totals for that many days']],
+                run: (args) => this.showCost(args)
+            },
+            {
+                name: 'status', category: 'Conversation',
+                help: [['/status', 'Show current status']],
+                run: () => this.showStatus()
+            },
+            {
+                name: 'config', category: 'Conversation',
+                help: [['/config', 'Show configuration']],
+                run: () => this.showConfig()
+            },
+            {
+                name: 'model', category: 'Model Settings', usage: '/model <name>',
+                help: [['/model <name>', 'Change model (e.g., gemini-1.5-pro, gpt-4o, llama3)']],
+                run: (name) => {
+                    this.model = name;
+                    console.log(`🤖 Model changed to: ${name}`);
+                    this.saveConfig(['model']);
+                }
+            },
+            {
+                name: 'provider', category: 'Model Settings',
+                help: [['/provider [name] [model]', 'Show or switch provider (gemini, openai, anthropic, or\nany entry under "providers" in config.json)']],
+                run: (args) => this.switchProvider(args)
+            },
+            {
+                name: 'help', category: 'General',
+                help: [['/help', 'Show this help']],
+                run: () => this.showHelp()
+            },
+            {
+                name: 'exit', aliases: ['quit'], category: 'General',
+                help: [['/exit, /quit', 'Exit Delta CLI']],
+                run: (args, rl) => {
+                    console.log('Goodbye! 👋');
+                    rl.close();
+                }
+            }
+        ];
+    }
+
+    // Prompt templates from ~/.delta-cli/commands/*.md, then .delta/commands/*.md, so a project
+    // command replaces a global one with the same name. Read on every use so edits apply at once.
+    getCustomCommands() {
+        const commands = new Map();
+        const sources = [
+            ['global', path.join(this.configDir, 'commands')],
+            ['project', path.join(this.currentDirectory, '.delta', 'commands')]
+        ];
+        for (const [source, dir] of sources) {
+            if (!fs.existsSync(dir)) continue;
+            for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.md')).sort()) {
+                const name = path.basename(file, '.md');
+                try {
+                    const { attributes, body } = parseFrontmatter(fs.readFileSync(path.join(dir, file), 'utf8'));
+                    commands.set(name, { name, source, file: path.join(dir, file), attributes, template: body.trim() });
+                } catch (error) {
+                    console.warn(`Warning: Could not load command ${path.join(dir, file)}: ${error.message}`);
+                }
+            }
+        }
+        return [...commands.values()];
+    }
+
+    // Built-in commands win over custom ones with the same name
+    findCommand(name) {
+        const builtin = this.getBuiltinCommands().find(command => command.name === name || (command.aliases || []).includes(name));
+        if (builtin) return builtin;
+
+        const custom = this.getCustomCommands().find(command => command.name === name);
+        return custom ? { ...custom, run: (args) => this.runCustomCommand(custom, args) } : null;
+    }
+
+    // Returns false when the input isn't a known command, so it can be sent as a request instead
+    async runSlashCommand(input, rl) {
+        const match = input.match(/^\/(\S+)\s*([\s\S]*)$/);
+        if (!match) {
+            // A bare "/" (or "/ text") names no command
+            console.log('Type /help to list commands.');
+            return true;
+        }
+        const [, name, args] = match;
+        const command = this.findCommand(name);
+        if (!command) return false;
+
+        if (command.usage && command.usage.includes('<') && !args.trim()) {
+            console.log(`Usage: ${command.usage}`);
+        } else {
+            this.beginRequestUsage();
+            await command.run(args.trim(), rl);
+        }
+        return true;
+    }
+
+    // Fill in $ARGUMENTS, appending the arguments when the template doesn't use them.
+    // @file references are attached like in any other request.
+    expandCommandTemplate(command, args) {
+        return command.template.includes('$ARGUMENTS')
+            ? command.template.split('$ARGUMENTS').join(args)
+            : command.template + (args ? `\n\n${args}` : '');
+    }
+
+    // Frontmatter can pick the model, temperature and tools for this one request
+    async runCustomCommand(command, args) {
+        const { model, temperature } = command.attributes;
+        const allowedTools = command.attributes['allowed-tools'];
+        const saved = { model: this.model, temperature: this.temperature, allowedTools: this.allowedTools };
+
+        this.model = model || this.model;
+        this.temperature = temperature !== undefined && !isNaN(parseFloat(temperature)) ? parseFloat(temperature) : this.temperature;
+        this.allowedTools = allowedTools ? [].concat(allowedTools).flatMap(tool => tool.split(/[\s,]+/)).filter(Boolean) : null;
+        try {
+            await this.handleCodingRequest(this.expandCommandTemplate(command, args));
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    changeDirectory(newDir) {
+        try {
+            const fullPath = path.resolve(this.currentDirectory, newDir);
+            if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+                this.currentDirectory = fullPath;
+                process.chdir(fullPath);
+                console.log(`📂 Changed directory to: ${fullPath}`);
+            } else {
+                console.log(`❌ Directory not found: ${newDir}`);
+            }
+        } catch (error) {
+            console.log(`❌ Error changing directory: ${error.message}`);
+        }
+    }
+
+    showFile(filePath) {
+        const content = this.readFile(filePath);
+        if (content) {
+            console.log(`\n📄 Content of ${filePath}:`);
+            console.log('─'.repeat(40));
+            console.log(content.slice(0, 2000) + (content.length > 2000 ? '\n...(truncated)' : ''));
+            console.log('─'.repeat(40));
+        }
+    }
 
-Navigation & Files:
-  /pwd            Show current directory
-  /cd <dir>       Change directory
-  /tree           Show directory structure
-  /read <file>    Display file contents
+    setApprovalMode(mode) {
+        if (!mode) {
+            console.log(`🛡️ Approval mode: ${this.approvalMode} (${APPROVAL_MODES.join(' | ')})`);
+        } else if (APPROVAL_MODES.includes(mode)) {
+            this.approvalMode = mode;
+            console.log(`🛡️ Approval mode set to: ${mode}`);
+            this.saveConfig(['approvalMode']);
+        } else {
+            console.log(`❌ Unknown approval mode: ${mode} (use ${APPROVAL_MODES.join(', ')})`);
+        }
+    }
+
+    switchProvider(args) {
+        const [name, model] = args.split(/\s+/).filter(Boolean);
+        if (!name) {
+            console.log(`🔌 Provider: ${this.provider} | Available: ${this.getProviderNames().join(', ')}`);
+            return;
+        }
+        try {
+            this.setProvider(name, model);
+            console.log(`🔌 Provider changed to: ${this.provider} (model: ${this.model})`);
+            this.saveConfig(['provider', 'model']);
+        } catch (error) {
+            console.log(`❌ ${error.message}`);
+        }
+    }
 
-Execution:
-  /run <cmd>      Execute shell command manually
-  /toggle         Toggle auto-execution on/off
+    showHelp() {
+        const lines = ['', '🚀 Delta CLI Commands:'];
+        const addHelp = ([usage, description]) => {
+            const [first, ...more] = description.split('\n');
+            if (usage.length <= 16) {
+                lines.push(`  ${usage.padEnd(15)} ${first}`);
+            } else {
+                lines.push(`  ${usage}`, `${' '.repeat(18)}${first}`);
+            }
+            more.forEach(line => lines.push(`${' '.repeat(18)}${line}`));
+        };
 
-Conversation:
-  /clear          Clear conversation history
-  /status         Show current status
-  /config         Show configuration
+        const commands = this.getBuiltinCommands();
+        for (const category of [...new Set(commands.map(command => command.category))]) {
+            lines.push('', `${category}:`);
+            commands.filter(command => command.category === category).forEach(command => command.help.forEach(addHelp));
+            if (category === 'General') {
+                addHelp(['Ctrl+C', 'Cancel the running request (exits when idle)']);
+            }
+        }
 
-Model Settings:
-  /model <name>   Change Gemini model (e.g., gemini-1.5-pro)
+        const builtins = new Set(commands.flatMap(command => [command.name, ...(command.aliases || [])]));
+        const custom = this.getCustomCommands().filter(command => !builtins.has(command.name));
+        if (custom.length > 0) {
+            lines.push('', 'Custom Commands:');
+            for (const command of custom) {
+                const hint = command.attributes['argument-hint'];
+                const description = command.attributes.description || command.template.split('\n')[0];
+                addHelp([`/${command.name}${hint ? ` ${hint}` : ''}`, `${description} (${command.source})`]);
+            }
+        }
 
-General:
-  /help           Show this help
-  /exit, /quit    Exit Delta CLI
+        console.log(`${lines.join('\n')}
 
 Examples:
   δ > Create a React todo app with TypeScript
   δ > Set up a Python FastAPI project with authentication
   δ > Build a REST API with Express and MongoDB
+  δ > Explain the retry logic in @src/api.js
   δ > /cd myproject
   δ > /run npm test
   δ > /model gemini-1.5-pro
+  δ > /provider anthropic claude-3-5-sonnet-latest
 
-Available Models:
+Available Gemini Models:
   - gemini-2.0-flash (current default)
   - gemini-1.5-pro (most capable)
   - gemini-1.5-flash (fast and efficient)
@@ -836,35 +7179,548 @@ Available Models:
 `);
     }
 
+    // The same information as /status, for `delta serve` clients
+    getStatus() {
+        return {
+            currentDirectory: this.currentDirectory,
+            provider: this.provider,
+            model: this.model,
+            autoExecute: this.autoExecute,
+            approvalMode: this.approvalMode,
+            sandbox: this.getIsolation(),
+            stream: this.stream,
+            useTools: this.useTools,
+            maxIterations: this.maxIterations,
+            maxTokens: this.maxTokens,
+            temperature: this.temperature,
+            session: { id: this.session.id, name: this.session.name, usage: this.session.usage },
+            conversation: { messages: this.conversationHistory.length, tokens: this.conversationTokens(), compactThreshold: this.compactThreshold },
+            context: this.lastContext
+                ? { files: this.lastContext.files.map(file => file.path), tokens: this.lastContext.tokens, budget: this.lastContext.budget }
+                : null,
+            memory: this.getMemoryFiles(),
+            mcpServers: Object.keys(this.mcpServers).map(name => {
+                const client = this.mcpClients.get(name);
+                return { name, status: this.mcpServers[name].disabled ? 'disabled' : (client ? client.status : 'not started'), tools: client ? client.tools.length : 0 };
+            }),
+            apiKey: this.getApiKeyStatus()
+        };
+    }
+
     showStatus() {
         console.log(`
 📊 Delta CLI Status:
   Current Directory: ${this.currentDirectory}
+  Provider: ${this.provider}
   Model: ${this.model}
   Auto-execution: ${this.autoExecute ? 'ON' : 'OFF'}
+  Approval Mode: ${this.approvalMode}
+  Sandbox: ${this.getIsolation()}${this.sandbox.network === false ? ', no network' : ''}
   Max Tokens: ${this.maxTokens}
+  Streaming: ${this.stream ? 'ON' : 'OFF'}
+  Tool Calling: ${this.useTools ? `ON (max ${this.maxIterations} iterations)` : 'OFF'}
+  Git: ${this.describeGitStatus()}
+  MCP Servers: ${this.describeMcpStatus()}
+  Memory: ${this.describeMemoryStatus()}
+  Context: ${this.lastContext ? `${this.lastContext.files.length} files, ~${this.lastContext.tokens} of ${this.contextTokens} tokens` : `budget ${this.contextTokens} tokens`}
   Temperature: ${this.temperature}
-  Conversation Length: ${this.conversationHistory.length} messages
-  API Key: ${this.apiKey ? 'Set' : 'Not set'}
+  Session: ${this.session.savedCount > 0 ? this.session.id : 'new'}${this.session.name ? ` (${this.session.name})` : ''}
+  Usage: ${formatUsage(this.session.usage)} this session, ${formatCost(this.getDailyUsage().total.cost)} today
+  Conversation Length: ${this.conversationHistory.length} messages (~${this.conversationTokens()} of ${this.compactThreshold} tokens before compaction)
+  API Key: ${this.getApiKeyStatus()}
 `);
     }
 
+    describeGitStatus() {
+        if (!this.isGitRepo()) return 'not a repository';
+        const changed = this.runGit(['status', '--short']).stdout.split('\n').filter(Boolean).length;
+        return `${this.getCurrentBranch()}, ${changed > 0 ? `${changed} changed files` : 'clean'}${this.gitSettings.autoBranch ? ', auto-branch on' : ''}`;
+    }
+
+    describeMemoryStatus() {
+        const files = this.getMemoryFiles();
+        return files.length > 0 ? files.map(file => this.describeMemoryFile(file)).join(', ') : 'none';
+    }
+
+    describeMcpStatus() {
+        const names = Object.keys(this.mcpServers).filter(name => !this.mcpServers[name].disabled);
+        if (names.length === 0) return 'none';
+        const connected = [...this.mcpClients.values()].filter(client => client.status === 'connected');
+        return `${connected.length} of ${names.length} connected (${connected.reduce((sum, client) => sum + client.tools.length, 0)} tools)`;
+    }
+
+    getApiKeyStatus() {
+        try {
+            const provider = this.getProvider();
+            if (provider.apiKey) return 'Set';
+            return provider.requiresApiKey ? 'Not set' : 'Not required';
+        } catch (error) {
+            return error.message;
+        }
+    }
+
     showConfig() {
         console.log(`
 ⚙️  Delta CLI Configuration:
   Config Directory: ${this.configDir}
   Config File: ${this.configFile}
-  Session File: ${this.sessionFile}
+  Project Config: ${fs.existsSync(this.projectConfigFile) ? this.projectConfigFile : 'None'}
+  Sessions Directory: ${this.getSessionDir()}
   
-  Ignored Patterns: ${this.gitIgnorePatterns.join(', ')}
+  Hooks: ${Object.entries(this.hooks).map(([event, hooks]) => `${event} (${hooks.length})`).join(', ') || 'None'}
+  Ignored Patterns: ${this.gitIgnorePatterns.join(', ')} (plus .gitignore and .deltaignore)
   File Extensions: ${this.fileExtensions.join(', ')}
 `);
     }
 }
 
+const SERVER_DEFAULT_PORT = 7421;
+const RPC_ERRORS = { parse: -32700, invalidRequest: -32600, methodNotFound: -32601, invalidParams: -32602, server: -32000 };
+
+function rpcError(code, message) {
+    const error = new Error(message);
+    error.rpcCode = code;
+    return error;
+}
+
+// `delta serve`: drives DeltaCLI sessions for editor plugins over JSON-RPC 2.0, either HTTP on
+// 127.0.0.1 (POST /rpc, events as server-sent events on GET /events) with a bearer token, or
+// newline-delimited messages on stdin/stdout (--stdio) with events sent as notifications.
+class DeltaServer {
+    constructor(options = {}) {
+        this.token = options.token || crypto.randomBytes(24).toString('hex');
+        this.port = options.port || SERVER_DEFAULT_PORT;
+        this.sessions = new Map();
+        this.listeners = new Set();
+        this.nextApprovalId = 1;
+    }
+
+    // JSON-RPC methods; each takes the params object and returns the result
+    get methods() {
+        return {
+            'session.create': (params) => this.createSession(params),
+            'session.list': () => this.listSessions(),
+            'session.close': (params) => this.closeSession(params),
+            'message.send': (params) => this.sendMessage(params),
+            'message.cancel': (params) => this.cancelMessage(params),
+            'approval.list': (params) => this.listApprovals(params),
+            'approval.respond': (params) => this.respondToApproval(params),
+            'status': (params) => this.getSession(params).cli.getStatus()
+        };
+    }
+
+    async handleRpc(message) {
+        const id = message && message.id !== undefined ? message.id : null;
+        if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+            return { jsonrpc: '2.0', id, error: { code: RPC_ERRORS.invalidRequest, message: 'Invalid JSON-RPC request' } };
+        }
+
+        const method = this.methods[message.method];
+        if (!method) {
+            return { jsonrpc: '2.0', id, error: { code: RPC_ERRORS.methodNotFound, message: `Unknown method: ${message.method}` } };
+        }
+
+        try {
+            const result = await method(message.params || {});
+            return { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+        } catch (error) {
+            return { jsonrpc: '2.0', id, error: { code: error.rpcCode || RPC_ERRORS.server, message: error.message } };
+        }
+    }
+
+    // A request or a batch of them. Notifications (no id) get no response, so this returns null when
+    // there is nothing to send back.
+    async handleRpcMessage(message) {
+        const isNotification = (item) => item !== null && typeof item === 'object' && typeof item.method === 'string' && item.id === undefined;
+        if (!Array.isArray(message)) {
+            const response = await this.handleRpc(message);
+            return isNotification(message) ? null : response;
+        }
+        if (message.length === 0) {
+            return { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.invalidRequest, message: 'Empty batch' } };
+        }
+        const responses = await Promise.all(message.map(async item => {
+            const response = await this.handleRpc(item);
+            return isNotification(item) ? null : response;
+        }));
+        const answered = responses.filter(Boolean);
+        return answered.length > 0 ? answered : null;
+    }
+
+    broadcast(sessionId, event) {
+        for (const listener of this.listeners) {
+            listener(sessionId, event);
+        }
+    }
+
+    getSession(params) {
+        const session = this.sessions.get(params.sessionId);
+        if (!session) throw rpcError(RPC_ERRORS.invalidParams, `Unknown session: ${params.sessionId}`);
+        return session;
+    }
+
+    createSession(params) {
+        const cli = new DeltaCLI();
+        if (params.resume && !cli.loadSession(params.resume)) {
+            throw rpcError(RPC_ERRORS.invalidParams, `No saved session matching "${params.resume}"`);
+        }
+        if (params.name) cli.renameSession(params.name);
+        if (params.approvalMode) {
+            if (!APPROVAL_MODES.includes(params.approvalMode)) {
+                throw rpcError(RPC_ERRORS.invalidParams, `Unknown approval mode: ${params.approvalMode}`);
+            }
+            cli.approvalMode = params.approvalMode;
+        }
+        if (params.model) cli.model = params.model;
+
+        const session = { id: cli.session.id, cli, busy: false, approvals: new Map() };
+        cli.enableHeadless('rpc', {
+            onEvent: (event) => this.broadcast(session.id, event),
+            prompt: (question, details) => this.requestApproval(session, question, details)
+        });
+        this.sessions.set(session.id, session);
+        return this.describeSession(session);
+    }
+
+    describeSession(session) {
+        const { cli } = session;
+        return {
+            sessionId: session.id,
+            name: cli.session.name,
+            cwd: cli.currentDirectory,
+            provider: cli.provider,
+            model: cli.model,
+            approvalMode: cli.approvalMode,
+            messages: cli.conversationHistory.length,
+            busy: session.busy,
+            pendingApprovals: session.approvals.size
+        };
+    }
+
+    listSessions() {
+        const active = [...this.sessions.values()].map(session => this.describeSession(session));
+        // Saved sessions for this project that aren't open yet can be resumed with session.create
+        const saved = new DeltaCLI().listSessions()
+            .filter(session => !this.sessions.has(session.id))
+            .map(session => ({ sessionId: session.id, name: session.name, updated: session.updated, messages: session.messageCount }));
+        return { active, saved };
+    }
+
+    closeSession(params) {
+        const session = this.getSession(params);
+        this.cancelMessage(params);
+        session.cli.closeMcpServers();
+        this.sessions.delete(session.id);
+        return { closed: session.id };
+    }
+
+    async sendMessage(params) {
+        const session = this.getSession(params);
+        if (typeof params.text !== 'string' || !params.text.trim()) {
+            throw rpcError(RPC_ERRORS.invalidParams, 'text is required');
+        }
+        if (session.busy) {
+            throw rpcError(RPC_ERRORS.server, 'This session is already handling a message');
+        }
+
+        const { cli } = session;
+        session.busy = true;
+        cli.headless.failed = false;
+        cli.headless.errors = [];
+        this.broadcast(session.id, { type: 'start', text: params.text });
+        try {
+            const response = await cli.handleCodingRequest(params.text, { includeContext: params.includeContext !== false });
+            const result = {
+                success: !cli.headless.failed,
+                text: cli.headless.errors.length > 0 ? '' : response,
+                errors: cli.headless.errors
+            };
+            this.broadcast(session.id, { type: 'result', ...result });
+            return result;
+        } finally {
+            session.busy = false;
+        }
+    }
+
+    cancelMessage(params) {
+        const session = this.getSession(params);
+        // Unanswered approvals count as "no" so the request can wind down
+        for (const approval of session.approvals.values()) {
+            approval.resolve(null);
+        }
+        session.approvals.clear();
+        return { cancelled: session.cli.cancelActiveRequest() };
+    }
+
+    // Called from DeltaCLI.ask: park the question until a client answers it
+    requestApproval(session, question, details) {
+        return new Promise((resolve) => {
+            const id = this.nextApprovalId++;
+            // Opening an editor on the server makes no sense for a remote client
+            const choices = (details.choices || []).filter(choice => choice !== 'e');
+            const approval = { id, question: question.trim(), ...details, choices, resolve };
+            session.approvals.set(id, approval);
+
+            const { resolve: _, ...visible } = approval;
+            this.broadcast(session.id, { type: 'approval_requested', approval: visible });
+        });
+    }
+
+    listApprovals(params) {
+        const session = this.getSession(params);
+        return [...session.approvals.values()].map(({ resolve, ...approval }) => approval);
+    }
+
+    respondToApproval(params) {
+        const session = this.getSession(params);
+        const approval = session.approvals.get(params.approvalId);
+        if (!approval) throw rpcError(RPC_ERRORS.invalidParams, `No pending approval ${params.approvalId}`);
+
+        const choice = String(params.choice || '').trim().toLowerCase().charAt(0);
+        if (!approval.choices.includes(choice)) {
+            throw rpcError(RPC_ERRORS.invalidParams, `choice must be one of: ${approval.choices.join(', ')}`);
+        }
+
+        session.approvals.delete(approval.id);
+        approval.resolve(choice);
+        this.broadcast(session.id, { type: 'approval_resolved', approvalId: approval.id, choice });
+        return { approvalId: approval.id, choice };
+    }
+
+    isAuthorized(req, url) {
+        const header = req.headers.authorization || '';
+        const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(given);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    listenHttp() {
+        const server = http.createServer((req, res) => this.handleHttp(req, res));
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(this.port, '127.0.0.1', () => {
+                this.port = server.address().port;
+                resolve(server);
+            });
+        });
+    }
+
+    handleHttp(req, res) {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        // Only answer requests addressed to the loopback host, so a web page can't reach us through DNS rebinding
+        const host = (req.headers.host || '').replace(/:\d+$/, '');
+        if (!['127.0.0.1', 'localhost', '[::1]'].includes(host)) {
+            return send(403, { error: 'Forbidden host' });
+        }
+        if (!this.isAuthorized(req, url)) {
+            return send(401, { error: 'Missing or invalid token' });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/events') {
+            const sessionId = url.searchParams.get('sessionId');
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+            res.write(': connected\n\n');
+
+            const listener = (eventSessionId, event) => {
+                if (sessionId && sessionId !== eventSessionId) return;
+                res.write(`event: ${event.type}\ndata: ${JSON.stringify({ sessionId: eventSessionId, ...event })}\n\n`);
+            };
+            this.listeners.add(listener);
+            req.on('close', () => this.listeners.delete(listener));
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/rpc') {
+            let body = '';
+            req.on('data', chunk => {
+                body += chunk;
+                if (body.length > 10 * 1024 * 1024) req.destroy();
+            });
+            req.on('end', async () => {
+                let message;
+                try {
+                    message = JSON.parse(body);
+                } catch (error) {
+                    return send(200, { jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.parse, message: 'Parse error' } });
+                }
+                const response = await this.handleRpcMessage(message);
+                if (response) {
+                    send(200, response);
+                } else {
+                    res.writeHead(204);
+                    res.end();
+                }
+            });
+            return;
+        }
+
+        send(404, { error: 'Not found' });
+    }
+
+    // One JSON-RPC message per line on stdin; responses and event notifications on stdout
+    listenStdio() {
+        const write = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+        this.listeners.add((sessionId, event) => write({ jsonrpc: '2.0', method: 'event', params: { sessionId, ...event } }));
+
+        const rl = readline.createInterface({ input: process.stdin });
+        rl.on('line', async (line) => {
+            if (!line.trim()) return;
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                write({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.parse, message: 'Parse error' } });
+                return;
+            }
+            try {
+                const response = await this.handleRpcMessage(message);
+                if (response) write(response);
+            } catch (error) {
+                // One bad message must not take down the server
+                write({ jsonrpc: '2.0', id: null, error: { code: RPC_ERRORS.server, message: error.message } });
+            }
+        });
+        return new Promise(resolve => rl.on('close', resolve));
+    }
+
+    // Stop the MCP servers each session started so the process can exit
+    closeSessions() {
+        for (const session of this.sessions.values()) {
+            session.cli.closeMcpServers();
+        }
+    }
+}
+
+// Where editor plugins find the running server's port and token
+function getServerInfoFile() {
+    return path.join(os.homedir(), '.delta-cli', 'server.json');
+}
+
+async function serve(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') options.port = parseInt(args[++i], 10);
+        else if (args[i] === '--token') options.token = args[++i];
+        else if (args[i] === '--stdio') options.stdio = true;
+    }
+    options.token = options.token || process.env.DELTA_SERVER_TOKEN;
+
+    const server = new DeltaServer(options);
+    if (options.stdio) {
+        await server.listenStdio();
+        server.closeSessions();
+        return;
+    }
+
+    try {
+        await server.listenHttp();
+    } catch (error) {
+        console.error(`❌ Could not start server: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const infoFile = getServerInfoFile();
+    fs.mkdirSync(path.dirname(infoFile), { recursive: true });
+    fs.writeFileSync(infoFile, JSON.stringify({ port: server.port, token: server.token, pid: process.pid, cwd: process.cwd() }, null, 2), { mode: 0o600 });
+    // mode only applies when the file is created; an older server.json may still be readable by others
+    fs.chmodSync(infoFile, 0o600);
+    const cleanup = () => {
+        try {
+            const info = JSON.parse(fs.readFileSync(infoFile, 'utf8'));
+            if (info.pid === process.pid) fs.unlinkSync(infoFile);
+        } catch (error) {
+            // Already gone
+        }
+        server.closeSessions();
+        process.exit(0);
+    };
+    process.on('SIGINT', cleanup);
+    process.on('SIGTERM', cleanup);
+
+    console.error(`🚀 Delta server listening on http://127.0.0.1:${server.port} (project: ${process.cwd()})`);
+    console.error(`🔑 Token: ${server.token}`);
+    console.error(`   Connection details saved to ${infoFile}`);
+}
+
+const OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => data += chunk);
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+    });
+}
+
+// --print: the request comes from the arguments or, failing that, stdin
+async function runHeadless(delta, request, format) {
+    delta.enableHeadless(format);
+    if (!request) {
+        request = process.stdin.isTTY ? '' : await readStdin();
+    }
+    if (!request.trim()) {
+        const message = 'No request given (pass it as an argument or on stdin)';
+        console.error(`❌ ${message}`);
+        if (format !== 'text') process.stdout.write(JSON.stringify({ type: 'result', success: false, errors: [message] }) + '\n');
+        process.exitCode = 1;
+        return;
+    }
+    await delta.runHeadless(request);
+}
+
+// `delta review`: print findings for a diff and exit 1 when any reaches --fail-on (default error)
+async function review(args) {
+    const delta = new DeltaCLI();
+    const words = [];
+    let provider = null;
+    let model = null;
+    try {
+        for (let i = 0; i < args.length; i++) {
+            if (args[i] === '-m' || args[i] === '--model') model = args[++i];
+            else if (args[i] === '-p' || args[i] === '--provider') provider = args[++i];
+            else if (args[i] === '-a' || args[i] === '--approval') {
+                const mode = args[++i];
+                if (!APPROVAL_MODES.includes(mode)) {
+                    throw new Error(`Unknown approval mode: ${mode} (use ${APPROVAL_MODES.join(', ')})`);
+                }
+                delta.approvalMode = mode;
+            } else words.push(args[i]);
+        }
+        if (provider) delta.setProvider(provider, model);
+        else if (model) delta.model = model;
+
+        const options = delta.parseReviewArgs(words);
+        const result = await delta.runReview(options);
+        const threshold = REVIEW_SEVERITIES.indexOf(options.failOn);
+        if (threshold !== -1 && result.findings.some(finding => REVIEW_SEVERITIES.indexOf(finding.severity) <= threshold)) {
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
 // Command line interface
 async function main() {
     const args = process.argv.slice(2);
+    if (args[0] === 'serve') {
+        await serve(args.slice(1));
+        return;
+    }
+    if (args[0] === 'review') {
+        await review(args.slice(1));
+        return;
+    }
     const delta = new DeltaCLI();
 
     if (args.includes('-h') || args.includes('--help')) {
@@ -872,12 +7728,25 @@ async function main() {
 🚀 Delta CLI - Advanced AI Coding Assistant
 
 Usage: delta [options] "your request"
+       delta serve [--port <n>] [--token <token>] [--stdio]
+       delta review [--staged | <base>..<head> | <base>] [--format text|json|sarif]
+                    [--fail-on error|warning|info|none] [--fix]
 
 Options:
   -i, --interactive         Start interactive mode
-  -m, --model <model>       Set Gemini model
+  -m, --model <model>       Set model
+  -p, --provider <name>     Set provider (gemini, openai, anthropic, ...)
   -t, --temperature <temp>  Set temperature (0.0-1.0)
   -n, --no-auto            Disable auto-execution
+  -a, --approval <mode>     Approve changes: auto, ask (default), never
+      --no-stream          Wait for the full response instead of streaming it
+      --no-tools           Extract files/commands from markdown instead of tool calls
+      --max-iterations <n> Limit tool-calling round trips per request
+      --continue           Resume the most recent session for this directory
+      --resume <id|name>   Resume a saved session
+      --print              Run one request without prompts and print only the result;
+                           reads the request from stdin when none is given
+      --output-format <f>  With --print: text (default), json or stream-json
   -c, --context            Include project context
   -h, --help               Show this help
 
@@ -886,6 +7755,9 @@ Examples:
   delta "Set up a React project with TypeScript"
   delta -i
   delta -m gemini-1.5-pro "Optimize this Python code"
+  delta -p openai -m gpt-4o "Add input validation"
+  echo "Add input validation" | delta --print --output-format json -a never
+  delta review origin/main..HEAD --format sarif > review.sarif
 
 Available Gemini Models:
   - gemini-2.0-flash (current default)
@@ -897,30 +7769,80 @@ Available Gemini Models:
     }
 
     // Parse options
+    let outputFormat = null;
     let i = 0;
     while (i < args.length) {
         const arg = args[i];
         
         if (arg === '-m' || arg === '--model') {
             delta.model = args[++i];
+        } else if (arg === '-p' || arg === '--provider') {
+            try {
+                // Keep an explicit -m even when it comes before -p
+                const explicitModel = args.slice(0, i).some(a => a === '-m' || a === '--model') ? delta.model : null;
+                delta.setProvider(args[++i], explicitModel);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exitCode = 1;
+                return;
+            }
         } else if (arg === '-t' || arg === '--temperature') {
             delta.temperature = parseFloat(args[++i]);
         } else if (arg === '-n' || arg === '--no-auto') {
             delta.autoExecute = false;
+        } else if (arg === '-a' || arg === '--approval') {
+            const mode = args[++i];
+            if (!APPROVAL_MODES.includes(mode)) {
+                console.error(`❌ Unknown approval mode: ${mode} (use ${APPROVAL_MODES.join(', ')})`);
+                process.exitCode = 1;
+                return;
+            }
+            delta.approvalMode = mode;
+        } else if (arg === '--no-stream') {
+            delta.stream = false;
+        } else if (arg === '--no-tools') {
+            delta.useTools = false;
+        } else if (arg === '--max-iterations') {
+            delta.maxIterations = parseInt(args[++i], 10) || delta.maxIterations;
+        } else if (arg === '--print') {
+            outputFormat = outputFormat || 'text';
+        } else if (arg === '--output-format') {
+            outputFormat = args[++i];
+            if (!OUTPUT_FORMATS.includes(outputFormat)) {
+                console.error(`❌ Unknown output format: ${outputFormat} (use ${OUTPUT_FORMATS.join(', ')})`);
+                process.exitCode = 1;
+                return;
+            }
+        } else if (arg === '--continue' || arg === '--resume') {
+            const ref = arg === '--resume' ? args[++i] : null;
+            if (!delta.loadSession(ref)) {
+                console.error(ref ? `❌ No session matching "${ref}" in ${delta.currentDirectory}` : '❌ No previous session for this directory');
+                process.exitCode = 1;
+                return;
+            }
         } else if (arg === '-i' || arg === '--interactive') {
             await delta.startInteractiveMode();
             return;
-        } else if (!arg.startsWith('-')) {
+        } else if (!arg.startsWith('-') || arg === '-') {
             // Remaining arguments are the request
             const request = args.slice(i).join(' ');
-            if (request.trim()) {
+            if (outputFormat) {
+                await runHeadless(delta, request === '-' ? null : request, outputFormat);
+            } else if (request.trim()) {
                 await delta.handleCodingRequest(request);
             }
+            delta.closeMcpServers();
             return;
         }
         i++;
     }
 
+    if (outputFormat) {
+        await runHeadless(delta, null, outputFormat);
+        delta.closeMcpServers();
+        return;
+    }
+
     // If no arguments or only flags, start interactive mode
     await delta.startInteractiveMode();
 }
@@ -1015,6 +7937,13 @@ async function checkUpdates() {
 // Export classes and functions for testing
 module.exports = {
     DeltaCLI,
+    DeltaServer,
+    CommandPolicy,
+    CodeIndex,
+    tokenizeShell,
+    parseIgnorePattern,
+    diffLines,
+    applyEdit,
     main,
     install,
     uninstall,
@@ -0,0 +1,109 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// DeltaCLI keeps its config under the home directory, so point that at a scratch directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+process.env.HOME = home;
+
+const { DeltaCLI } = require('../delta.js');
+
+const log = console.log;
+before(() => {
+    console.log = () => {};
+});
+after(() => {
+    console.log = log;
+    process.chdir(os.tmpdir());
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+const read = (file) => fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+describe('checkpoints without git', () => {
+    let project;
+    let delta;
+    before(() => {
+        project = fs.mkdtempSync(path.join(home, 'project-'));
+        fs.writeFileSync(path.join(project, 'a.txt'), 'one\n');
+        process.chdir(project);
+        delta = new DeltaCLI();
+    });
+
+    const change = (file, content) => {
+        const fullPath = path.join(project, file);
+        delta.recordFileChange(fullPath);
+        fs.writeFileSync(fullPath, content);
+    };
+
+    test('undo and redo restore the recorded files', () => {
+        delta.beginCheckpoint('edit');
+        change('a.txt', 'two\n');
+        change('b.txt', 'new\n');
+        const record = delta.finishCheckpoint();
+        assert.deepStrictEqual(record.files.map(file => [file.path, file.status]), [['a.txt', 'modified'], ['b.txt', 'created']]);
+
+        assert.strictEqual(delta.undoCheckpoint(), true);
+        assert.strictEqual(read(path.join(project, 'a.txt')), 'one\n');
+        assert.strictEqual(read(path.join(project, 'b.txt')), null);
+
+        assert.strictEqual(delta.redoCheckpoint(), true);
+        assert.strictEqual(read(path.join(project, 'a.txt')), 'two\n');
+        assert.strictEqual(read(path.join(project, 'b.txt')), 'new\n');
+    });
+
+    test('leaves files edited since the checkpoint alone unless forced', () => {
+        fs.writeFileSync(path.join(project, 'a.txt'), 'edited by hand\n');
+        assert.strictEqual(delta.undoCheckpoint(), false);
+        assert.strictEqual(read(path.join(project, 'a.txt')), 'edited by hand\n');
+
+        assert.strictEqual(delta.undoCheckpoint(true), true);
+        assert.strictEqual(read(path.join(project, 'a.txt')), 'one\n');
+    });
+});
+
+describe('git checkpoints in a subdirectory of the repository', () => {
+    let repo;
+    let project;
+    let delta;
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@localhost', ...args], { cwd: repo, stdio: 'pipe' });
+
+    before(() => {
+        repo = fs.mkdtempSync(path.join(home, 'repo-'));
+        project = path.join(repo, 'packages', 'app');
+        fs.mkdirSync(project, { recursive: true });
+        fs.writeFileSync(path.join(repo, 'root.txt'), 'root\n');
+        fs.writeFileSync(path.join(project, 'a.txt'), 'one\n');
+        git('init', '-q');
+        git('add', '-A');
+        git('commit', '-q', '-m', 'initial');
+
+        process.chdir(project);
+        delta = new DeltaCLI();
+        delta.checkpointGit = true;
+    });
+
+    test('records paths relative to the project directory', () => {
+        delta.beginCheckpoint('edit');
+        fs.writeFileSync(path.join(project, 'a.txt'), 'two\n');
+        fs.writeFileSync(path.join(project, 'b.txt'), 'new\n');
+        fs.writeFileSync(path.join(repo, 'root.txt'), 'changed outside the project\n');
+        const record = delta.finishCheckpoint();
+        assert.deepStrictEqual(record.files.map(file => [file.path, file.status]), [['a.txt', 'modified'], ['b.txt', 'created']]);
+    });
+
+    test('undo and redo write back to the project directory', () => {
+        assert.strictEqual(delta.undoCheckpoint(), true);
+        assert.strictEqual(read(path.join(project, 'a.txt')), 'one\n');
+        assert.strictEqual(read(path.join(project, 'b.txt')), null);
+        assert.strictEqual(read(path.join(repo, 'a.txt')), null);
+        assert.strictEqual(read(path.join(repo, 'root.txt')), 'changed outside the project\n');
+
+        assert.strictEqual(delta.redoCheckpoint(), true);
+        assert.strictEqual(read(path.join(project, 'a.txt')), 'two\n');
+        assert.strictEqual(read(path.join(project, 'b.txt')), 'new\n');
+    });
+});
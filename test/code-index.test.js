@@ -0,0 +1,49 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CodeIndex } = require('../delta.js');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+describe('CodeIndex', () => {
+    let index;
+    before(() => {
+        fs.writeFileSync(path.join(root, 'math.js'), 'function add(a, b) {\n    return a + b;\n}\n');
+        fs.writeFileSync(path.join(root, 'shape.js'), 'class Shape {\n    constructor(sides) {\n        this.sides = sides;\n    }\n}\n');
+        index = new CodeIndex(path.join(root, '.index.json'));
+        index.refresh(root, ['math.js', 'shape.js']);
+    });
+
+    test('finds the chunk that defines a symbol', () => {
+        assert.strictEqual(index.search('add')[0].path, 'math.js');
+    });
+
+    test('treats Object.prototype names as ordinary words', () => {
+        assert.deepStrictEqual(index.search('constructor').map(result => result.path), ['shape.js']);
+        assert.deepStrictEqual(index.search('toString'), []);
+    });
+
+    test('keeps that behaviour after a reload', () => {
+        index.save();
+        const reloaded = new CodeIndex(path.join(root, '.index.json'));
+        assert.deepStrictEqual(reloaded.search('constructor').map(result => result.path), ['shape.js']);
+    });
+
+    test('skips files it cannot read', () => {
+        fs.mkdirSync(path.join(root, 'folder.js'));
+        const stats = index.refresh(root, ['math.js', 'shape.js', 'folder.js', 'deleted.js']);
+        assert.deepStrictEqual(stats, { added: 0, updated: 0, removed: 0 });
+        assert.strictEqual(index.search('add')[0].path, 'math.js');
+    });
+
+    test('drops files that became unreadable', () => {
+        fs.rmSync(path.join(root, 'math.js'));
+        fs.mkdirSync(path.join(root, 'math.js'));
+        assert.deepStrictEqual(index.refresh(root, ['math.js', 'shape.js']), { added: 0, updated: 0, removed: 1 });
+        assert.deepStrictEqual(index.search('add'), []);
+    });
+});
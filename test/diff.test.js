@@ -0,0 +1,38 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { diffLines } = require('../delta.js');
+
+describe('diffLines', () => {
+    const sides = (entries) => ({
+        before: entries.filter(entry => entry.type !== '+').map(entry => entry.line),
+        after: entries.filter(entry => entry.type !== '-').map(entry => entry.line)
+    });
+
+    test('produces a minimal diff', () => {
+        const entries = diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e']);
+        assert.deepStrictEqual(entries.map(entry => entry.type + entry.line), [' a', '-b', ' c', ' d', '+e']);
+    });
+
+    test('reproduces both sides for random edits', () => {
+        let seed = 7;
+        const random = (n) => {
+            seed = (seed * 16807) % 2147483647;
+            return seed % n;
+        };
+        for (let round = 0; round < 200; round++) {
+            const oldLines = Array.from({ length: random(30) }, () => 'abcd'[random(4)]);
+            const newLines = Array.from({ length: random(30) }, () => 'abcd'[random(4)]);
+            assert.deepStrictEqual(sides(diffLines(oldLines, newLines)), { before: oldLines, after: newLines });
+        }
+    });
+
+    test('rewrites of large files stay fast', () => {
+        const oldLines = Array.from({ length: 20000 }, (_, i) => `old ${i}`);
+        const newLines = Array.from({ length: 20000 }, (_, i) => `new ${i}`);
+        const started = Date.now();
+        const entries = diffLines(oldLines, newLines);
+        assert.strictEqual(entries.length, 40000);
+        assert.ok(Date.now() - started < 5000);
+    });
+});
@@ -0,0 +1,25 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { applyEdit } = require('../delta.js');
+
+describe('applyEdit', () => {
+    const content = 'function add(a, b) {\n    return a + b;\n}\n';
+
+    test('replaces an exact match', () => {
+        const result = applyEdit(content, '    return a + b;', '    return a - b;');
+        assert.strictEqual(result.method, 'exact');
+        assert.strictEqual(result.content, 'function add(a, b) {\n    return a - b;\n}\n');
+    });
+
+    test('matches despite different whitespace and keeps the file indentation', () => {
+        const result = applyEdit(content, 'return  a + b;', 'return a * b;');
+        assert.strictEqual(result.method, 'whitespace');
+        assert.match(result.content, /^ {4}return a \* b;$/m);
+    });
+
+    test('refuses ambiguous and missing matches', () => {
+        assert.match(applyEdit('x\nx\n', 'x', 'y').error, /matches 2 places/);
+        assert.match(applyEdit(content, 'something else entirely', 'y').error, /not found/);
+    });
+});
@@ -0,0 +1,57 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// DeltaCLI keeps its config under the home directory, so point that at a scratch directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+process.env.HOME = home;
+
+const { DeltaCLI } = require('../delta.js');
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('file changes', () => {
+    const log = console.log;
+    let project;
+    let delta;
+    before(() => {
+        project = fs.mkdtempSync(path.join(home, 'project-'));
+        fs.writeFileSync(path.join(home, 'outside.txt'), 'keep');
+        process.chdir(project);
+        delta = new DeltaCLI();
+        delta.approvalMode = 'auto';
+        console.log = () => {};
+    });
+    after(() => {
+        console.log = log;
+    });
+
+    test('resolveProjectPath keeps paths inside the project', () => {
+        assert.strictEqual(delta.resolveProjectPath('src/a.js'), path.join(project, 'src', 'a.js'));
+        assert.strictEqual(delta.resolveProjectPath('src/../a.js'), path.join(project, 'a.js'));
+        for (const filePath of ['../outside.txt', '/etc/passwd', `${project}-other/a.js`, 'src/../../outside.txt']) {
+            assert.throws(() => delta.resolveProjectPath(filePath), /outside the project/, filePath);
+        }
+    });
+
+    test('writes files inside the project without asking in auto mode', async () => {
+        const result = await delta.proposeFileChange('src/new.js', 'x\n');
+        assert.strictEqual(result.applied, true);
+        assert.strictEqual(fs.readFileSync(path.join(project, 'src', 'new.js'), 'utf8'), 'x\n');
+    });
+
+    test('refuses to write or delete outside the project even in auto mode', async () => {
+        const written = await delta.proposeFileChange('../outside.txt', 'changed');
+        assert.strictEqual(written.applied, false);
+        assert.match(written.message, /outside the project/);
+
+        const deleted = await delta.proposeFileDeletion('../outside.txt');
+        assert.strictEqual(deleted.applied, false);
+        assert.strictEqual(fs.readFileSync(path.join(home, 'outside.txt'), 'utf8'), 'keep');
+    });
+});
@@ -0,0 +1,54 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// DeltaCLI keeps its config under the home directory, so point that at a scratch directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+process.env.HOME = home;
+
+const { DeltaCLI } = require('../delta.js');
+
+describe('/fix-tests', () => {
+    const log = console.log;
+    let project;
+    let delta;
+    before(() => {
+        project = fs.mkdtempSync(path.join(home, 'project-'));
+        process.chdir(project);
+        delta = new DeltaCLI();
+        console.log = () => {};
+    });
+    after(() => {
+        console.log = log;
+        process.chdir(os.tmpdir());
+        fs.rmSync(home, { recursive: true, force: true });
+    });
+
+    test('asks before running a configured test command', async () => {
+        delta.testSettings.command = 'touch configured';
+        delta.approvalMode = 'never';
+        await delta.fixTests('');
+        assert.strictEqual(fs.existsSync(path.join(project, 'configured')), false);
+
+        delta.approvalMode = 'ask';
+        delta.ask = async () => 'y';
+        await delta.fixTests('');
+        assert.strictEqual(fs.existsSync(path.join(project, 'configured')), true);
+    });
+
+    test('applies the command policy to it', async () => {
+        delta.testSettings.command = 'touch denied';
+        delta.sandbox = { deny: ['touch'] };
+        delta.approvalMode = 'auto';
+        await delta.fixTests('');
+        assert.strictEqual(fs.existsSync(path.join(project, 'denied')), false);
+    });
+
+    test('runs a command the user typed as is', async () => {
+        delta.approvalMode = 'never';
+        await delta.fixTests('touch typed');
+        assert.strictEqual(fs.existsSync(path.join(project, 'typed')), true);
+    });
+});
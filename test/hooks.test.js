@@ -0,0 +1,68 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// DeltaCLI keeps its config under the home directory, so point that at a scratch directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+process.env.HOME = home;
+
+const { DeltaCLI } = require('../delta.js');
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('hook matching', () => {
+    let delta;
+    before(() => {
+        delta = new DeltaCLI();
+    });
+    const matches = (command) => delta.hookMatches({ match: 'git push' }, 'preCommand', { command });
+
+    test('matches the command anywhere in the line', () => {
+        for (const command of ['git push', 'cd app && git push', 'FOO=1 git push', 'git -C . push', 'bash -c "git push"', 'echo $(git push)']) {
+            assert.strictEqual(matches(command), true, command);
+        }
+    });
+
+    test('does not match other commands', () => {
+        assert.strictEqual(matches('git status'), false);
+        assert.strictEqual(matches('git commit -m push'), false);
+    });
+});
+
+describe('preCommand hooks that rewrite commands', () => {
+    const log = console.log;
+    let project;
+    let delta;
+    before(() => {
+        project = fs.mkdtempSync(path.join(home, 'project-'));
+        fs.writeFileSync(path.join(project, 'hook.js'), 'module.exports = (event) => ({ command: event.command.replace("echo", "touch") });\n');
+        process.chdir(project);
+        delta = new DeltaCLI();
+        delta.hooks = { preCommand: [{ module: 'hook.js' }] };
+        delta.approvalMode = 'auto';
+        console.log = () => {};
+    });
+    after(() => {
+        console.log = log;
+    });
+
+    test('run the new command through the policy again', async () => {
+        delta.sandbox = { deny: ['touch'] };
+        const result = await delta.executeCommand('echo denied', { sandbox: true, showOutput: false });
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /rewritten by a hook/);
+        assert.strictEqual(fs.existsSync(path.join(project, 'denied')), false);
+    });
+
+    test('run the new command when the policy allows it', async () => {
+        delta.sandbox = {};
+        const result = await delta.executeCommand('echo allowed', { sandbox: true, showOutput: false });
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(fs.existsSync(path.join(project, 'allowed')), true);
+    });
+});
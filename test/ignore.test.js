@@ -0,0 +1,33 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { parseIgnorePattern } = require('../delta.js');
+
+describe('parseIgnorePattern', () => {
+    const ignored = (pattern, file) => parseIgnorePattern(pattern).regex.test(file);
+
+    test('matches names at any depth unless anchored', () => {
+        assert.strictEqual(ignored('*.log', 'debug.log'), true);
+        assert.strictEqual(ignored('*.log', 'logs/app/debug.log'), true);
+        assert.strictEqual(ignored('/build', 'build'), true);
+        assert.strictEqual(ignored('/build', 'src/build'), false);
+        assert.strictEqual(ignored('docs/*.md', 'docs/a.md'), true);
+        assert.strictEqual(ignored('docs/*.md', 'docs/sub/a.md'), false);
+    });
+
+    test('supports ** and character classes', () => {
+        assert.strictEqual(ignored('**/fixtures', 'a/b/fixtures'), true);
+        assert.strictEqual(ignored('src/**/*.snap', 'src/x/y/z.snap'), true);
+        assert.strictEqual(ignored('file[0-9].txt', 'file7.txt'), true);
+        assert.strictEqual(ignored('file[!0-9].txt', 'file7.txt'), false);
+    });
+
+    test('reads negation, directory-only rules and comments', () => {
+        assert.deepStrictEqual(
+            { negate: parseIgnorePattern('!keep.log').negate, dirOnly: parseIgnorePattern('cache/').dirOnly },
+            { negate: true, dirOnly: true }
+        );
+        assert.strictEqual(parseIgnorePattern('# comment'), null);
+        assert.strictEqual(parseIgnorePattern('   '), null);
+    });
+});
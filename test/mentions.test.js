@@ -0,0 +1,42 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// DeltaCLI keeps its config under the home directory, so point that at a scratch directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+process.env.HOME = home;
+
+const { DeltaCLI } = require('../delta.js');
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('@mentions', () => {
+    let delta;
+    before(() => {
+        const project = fs.mkdtempSync(path.join(home, 'project-'));
+        fs.mkdirSync(path.join(project, 'src'));
+        fs.writeFileSync(path.join(project, 'src', 'a.js'), 'const a = 1;\n');
+        fs.writeFileSync(path.join(project, 'src', 'b.ts'), 'const b = 2;\n');
+        fs.writeFileSync(path.join(home, 'secret.txt'), 'secret\n');
+        process.chdir(project);
+        delta = new DeltaCLI();
+    });
+
+    test('inline files, directories and globs from the project', () => {
+        assert.deepStrictEqual(delta.expandMentions('look at @src/a.js.').files, [{ path: path.join('src', 'a.js'), lines: 1 }]);
+        assert.deepStrictEqual(delta.expandMentions('see @src/').files.map(file => file.path), [path.join('src', 'a.js'), path.join('src', 'b.ts')]);
+        assert.deepStrictEqual(delta.expandMentions('see @src/*.ts').files.map(file => file.path), [path.join('src', 'b.ts')]);
+    });
+
+    test('leave paths outside the project and other @words alone', () => {
+        for (const text of ['read @../secret.txt', `read @${path.join(home, 'secret.txt')}`, 'mail me@example.com', 'use @Component']) {
+            const result = delta.expandMentions(text);
+            assert.deepStrictEqual(result, { text, files: [], skipped: [], attachments: [] }, text);
+        }
+    });
+});
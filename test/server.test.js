@@ -0,0 +1,80 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// DeltaCLI keeps its config under the home directory, so point that at a scratch directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+process.env.HOME = home;
+
+const { DeltaServer } = require('../delta.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+describe('DeltaServer messages', () => {
+    const server = new DeltaServer({ token: 'secret' });
+
+    test('answers invalid messages instead of throwing', async () => {
+        for (const message of [null, 1, 'x', {}]) {
+            const response = await server.handleRpcMessage(message);
+            assert.strictEqual(response.error.code, -32600, JSON.stringify(message));
+            assert.strictEqual(response.id, null);
+        }
+    });
+
+    test('answers batches and leaves notifications unanswered', async () => {
+        const response = await server.handleRpcMessage([
+            { jsonrpc: '2.0', id: 1, method: 'missing' },
+            { jsonrpc: '2.0', method: 'missing' },
+            null
+        ]);
+        assert.deepStrictEqual(response.map(item => [item.id, item.error.code]), [[1, -32601], [null, -32600]]);
+        assert.strictEqual(await server.handleRpcMessage({ jsonrpc: '2.0', method: 'missing' }), null);
+        assert.strictEqual(await server.handleRpcMessage([{ jsonrpc: '2.0', method: 'missing' }]), null);
+        assert.strictEqual((await server.handleRpcMessage([])).error.code, -32600);
+    });
+});
+
+describe('DeltaServer over HTTP', () => {
+    const server = new DeltaServer({ token: 'secret' });
+    let httpServer;
+    let port;
+    before(async () => {
+        httpServer = http.createServer((req, res) => server.handleHttp(req, res));
+        await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+        port = httpServer.address().port;
+    });
+    after(() => httpServer.close());
+
+    const post = (headers, body = { jsonrpc: '2.0', id: 1, method: 'missing' }) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: '/rpc', method: 'POST', headers }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+
+    test('needs the token', async () => {
+        assert.strictEqual((await post({})).status, 401);
+        assert.strictEqual((await post({ Authorization: 'Bearer wrong' })).status, 401);
+        assert.strictEqual((await post({ Authorization: 'Bearer secretsecret' })).status, 401);
+        const response = await post({ Authorization: 'Bearer secret' });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.error.code, -32601);
+    });
+
+    test('rejects other host names', async () => {
+        const response = await post({ Authorization: 'Bearer secret', Host: `attacker.example:${port}` });
+        assert.strictEqual(response.status, 403);
+        assert.strictEqual((await post({ Authorization: 'Bearer secret', Host: `localhost:${port}` })).status, 200);
+    });
+
+    test('sends no body for notifications', async () => {
+        const response = await post({ Authorization: 'Bearer secret' }, { jsonrpc: '2.0', method: 'missing' });
+        assert.deepStrictEqual(response, { status: 204, body: null });
+    });
+});
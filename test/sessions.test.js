@@ -0,0 +1,52 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// DeltaCLI keeps its config under the home directory, so point that at a scratch directory
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'delta-test-'));
+process.env.HOME = home;
+
+const { DeltaCLI } = require('../delta.js');
+
+after(() => {
+    process.chdir(os.tmpdir());
+    fs.rmSync(home, { recursive: true, force: true });
+});
+
+describe('sessions', () => {
+    const first = { role: 'user', content: 'first' };
+    const second = { role: 'assistant', content: 'second' };
+    let delta;
+    before(() => {
+        process.chdir(fs.mkdtempSync(path.join(home, 'project-')));
+        delta = new DeltaCLI();
+        delta.renameSession('work');
+        delta.conversationHistory.push(first, second);
+        delta.saveSession();
+    });
+
+    test('resume by name with the saved history', () => {
+        const resumed = new DeltaCLI();
+        assert.strictEqual(resumed.loadSession('work').id, delta.session.id);
+        assert.deepStrictEqual(resumed.conversationHistory, [first, second]);
+    });
+
+    test('append only new messages and survive a cut-off last line', () => {
+        delta.conversationHistory.push({ role: 'user', content: 'third' });
+        delta.saveSession();
+        fs.appendFileSync(delta.session.file, '{"type":"message","message":{"role":"assis');
+
+        const lines = fs.readFileSync(delta.session.file, 'utf8').split('\n');
+        assert.strictEqual(lines.filter(line => line.includes('"first"')).length, 1);
+        const resumed = new DeltaCLI();
+        resumed.loadSession();
+        assert.deepStrictEqual(resumed.conversationHistory.map(message => message.content), ['first', 'second', 'third']);
+    });
+
+    test('keep sessions of other projects apart', () => {
+        process.chdir(fs.mkdtempSync(path.join(home, 'project-')));
+        assert.strictEqual(new DeltaCLI().loadSession('work'), null);
+    });
+});